@@ -1,27 +1,50 @@
 #!/bin/bash
 # Handle LuLu callback from Telegram
-# Usage: handle-callback.sh <callback_data>
-# Example: handle-callback.sh "lulu:allow:abc123"
+# Usage: handle-callback.sh <callback_data> [user_id]
+# Example: handle-callback.sh "lulu:allow:3f2a9c1b0d" 123456789
+#          handle-callback.sh "lulu:rule-accept:1a2b3c4d" 123456789
 
 CALLBACK="$1"
+USER_ID="$2"
 
-# Parse callback data
-if [[ "$CALLBACK" =~ ^lulu:(allow|block):(.+)$ ]]; then
+# Command server token (created by the monitor on first start)
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TOKEN="${LULU_TOKEN:-$(cat "${LULU_TOKEN_FILE:-$SCRIPT_DIR/../.auth-token}" 2>/dev/null)}"
+
+# Rule suggestion review
+if [[ "$CALLBACK" =~ ^lulu:(rule-accept|rule-reject):([a-f0-9]+)$ ]]; then
     ACTION="${BASH_REMATCH[1]}"
-    HASH="${BASH_REMATCH[2]}"
+    SUGGESTION_ID="${BASH_REMATCH[2]}"
+    
+    echo "Processing: $ACTION (suggestion: $SUGGESTION_ID)"
+    
+    RESULT=$(curl -s -X POST http://127.0.0.1:4441/callback \
+        -H "Content-Type: application/json" \
+        -H "Authorization: Bearer $TOKEN" \
+        -d "{\"action\":\"$ACTION\",\"suggestionId\":\"$SUGGESTION_ID\",\"userId\":\"$USER_ID\"}")
     
-    echo "Processing: $ACTION (hash: $HASH)"
+    echo "$RESULT"
+    exit 0
+fi
+
+# Parse callback data: lulu:<action>:<alertId>
+if [[ "$CALLBACK" =~ ^lulu:(allow|block|allow-once|block-once):([a-f0-9]+)$ ]]; then
+    ACTION="${BASH_REMATCH[1]}"
+    ALERT_ID="${BASH_REMATCH[2]}"
     
-    # Get current message ID from lulu-monitor
-    STATUS=$(curl -s http://127.0.0.1:4441/status)
-    MSG_ID=$(echo "$STATUS" | grep -o '"lastMessageId":"[^"]*"' | cut -d'"' -f4)
+    echo "Processing: $ACTION (alert: $ALERT_ID)"
     
     # Call the callback endpoint
     RESULT=$(curl -s -X POST http://127.0.0.1:4441/callback \
         -H "Content-Type: application/json" \
-        -d "{\"action\":\"$ACTION\",\"messageId\":\"$MSG_ID\"}")
+        -H "Authorization: Bearer $TOKEN" \
+        -d "{\"action\":\"$ACTION\",\"alertId\":\"$ALERT_ID\",\"userId\":\"$USER_ID\"}")
     
     echo "$RESULT"
+elif [[ "$CALLBACK" =~ ^lulu:(allow|block|allow-once|block-once)$ ]]; then
+    # Buttons from old messages carry no alert ID; never guess which alert they meant
+    echo "Button has no alert ID (old message): $CALLBACK"
+    exit 1
 else
     echo "Invalid callback format: $CALLBACK"
     exit 1
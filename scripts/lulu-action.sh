@@ -14,9 +14,14 @@ if [ "$ACTION" != "allow" ] && [ "$ACTION" != "block" ]; then
   exit 1
 fi
 
+# Command server token (created by the monitor on first start)
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+TOKEN="${LULU_TOKEN:-$(cat "${LULU_TOKEN_FILE:-$SCRIPT_DIR/../.auth-token}" 2>/dev/null)}"
+
 # Try via HTTP first (if lulu-monitor is running)
 RESPONSE=$(curl -s -X POST http://127.0.0.1:4441/action \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer $TOKEN" \
   -d "{\"action\": \"$ACTION\"}" 2>/dev/null)
 
 if echo "$RESPONSE" | grep -q '"success":true'; then
@@ -0,0 +1,72 @@
+/**
+ * Command Server Auth
+ * Per-install token for mutating routes, plus Host/Origin checks so web
+ * pages (cross-origin POSTs, DNS rebinding) cannot talk to 127.0.0.1:4441.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read the install token, creating it (mode 0600) on first start
+ */
+function loadOrCreateToken(tokenPath) {
+  try {
+    const token = fs.readFileSync(tokenPath, 'utf8').trim();
+    if (token) {
+      // Tighten permissions if the file was copied around
+      if ((fs.statSync(tokenPath).mode & 0o077) !== 0) fs.chmodSync(tokenPath, 0o600);
+      return { token, created: false };
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+  fs.writeFileSync(tokenPath, token + '\n', { mode: 0o600 });
+  fs.chmodSync(tokenPath, 0o600);
+  return { token, created: true };
+}
+
+/**
+ * Constant-time token comparison
+ */
+function tokensMatch(given, expected) {
+  if (!given || !expected) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Token from "Authorization: Bearer <token>" or "X-LuLu-Token: <token>"
+ */
+function requestToken(req) {
+  const match = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : (req.headers['x-lulu-token'] || null);
+}
+
+/**
+ * Reject requests that did not come from a local CLI/agent
+ * Returns null if OK, otherwise { status, error }
+ */
+function checkOrigin(req, port) {
+  const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!allowedHosts.includes((req.headers['host'] || '').toLowerCase())) {
+    return { status: 421, error: 'Invalid Host header' };
+  }
+  // curl and node never send these; browsers always do on fetch/form POSTs
+  if (req.headers['origin'] || req.headers['sec-fetch-site'] || req.headers['sec-fetch-mode']) {
+    return { status: 403, error: 'Browser requests are not allowed' };
+  }
+  return null;
+}
+
+module.exports = {
+  checkOrigin,
+  loadOrCreateToken,
+  requestToken,
+  tokensMatch
+};
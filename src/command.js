@@ -0,0 +1,69 @@
+/**
+ * External Commands
+ * Runs CLI tools (osascript, openclaw, codesign) without a shell:
+ * arguments go in as an array, every call has a timeout, and failures
+ * are reported as a CommandError with the exit code, signal and stderr.
+ */
+
+const { execFile } = require('child_process');
+
+class CommandError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.command = details.command;
+    this.code = details.code ?? null;        // Exit code, or e.g. 'ENOENT'
+    this.signal = details.signal ?? null;
+    this.timedOut = !!details.timedOut;
+    this.stdout = details.stdout || '';
+    this.stderr = details.stderr || '';
+  }
+}
+
+/**
+ * Run a command and resolve { stdout, stderr }
+ * Rejects with CommandError on spawn failure, non-zero exit or timeout.
+ */
+function runCommand(command, args = [], options = {}) {
+  const timeoutMs = options.timeoutMs || 15000;
+  return new Promise((resolve, reject) => {
+    execFile(command, args.map(String), {
+      encoding: 'utf8',
+      timeout: timeoutMs,
+      killSignal: 'SIGKILL',
+      maxBuffer: 10 * 1024 * 1024
+    }, (err, stdout, stderr) => {
+      if (!err) {
+        resolve({ stdout, stderr });
+        return;
+      }
+
+      const timedOut = err.killed && err.signal === 'SIGKILL';
+      let message;
+      if (timedOut) {
+        message = `${command} timed out after ${timeoutMs}ms`;
+      } else if (err.code === 'ENOENT') {
+        message = `${command} not found`;
+      } else if (typeof err.code === 'number') {
+        const detail = (stderr || '').trim().split('\n')[0];
+        message = `${command} exited with code ${err.code}` + (detail ? `: ${detail}` : '');
+      } else {
+        message = `${command} failed: ${err.message}`;
+      }
+
+      reject(new CommandError(message, {
+        command,
+        code: err.code,
+        signal: err.signal,
+        timedOut,
+        stdout,
+        stderr
+      }));
+    });
+  });
+}
+
+module.exports = {
+  CommandError,
+  runCommand
+};
@@ -0,0 +1,242 @@
+/**
+ * Alert Enrichment
+ * Adds context that can be worked out locally before the AI sees an alert:
+ *   process   - parent process chain and full command line (via `ps`)
+ *   binary    - SHA-256 of the executable and where it lives
+ *   network   - address range class, ASN/organization, port service name
+ *
+ * Every lookup is best effort: a part that fails is left null.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const { runCommand } = require('./command');
+
+// Address range classes; anything not listed is 'public'
+const RANGES = [
+  ['loopback', ['127.0.0.0/8', '::1/128']],
+  ['private', ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']],
+  ['link-local', ['169.254.0.0/16', 'fe80::/10']],
+  ['shared', ['100.64.0.0/10']],
+  ['multicast', ['224.0.0.0/4', 'ff00::/8']],
+  ['reserved', [
+    '0.0.0.0/8', '192.0.0.0/24', '192.0.2.0/24', '198.18.0.0/15', '198.51.100.0/24',
+    '203.0.113.0/24', '240.0.0.0/4', '::/128', '2001:db8::/32', '100::/64'
+  ]]
+].map(([name, cidrs]) => {
+  const list = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [address, prefix] = cidr.split('/');
+    list.addSubnet(address, Number(prefix), net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+  return [name, list];
+});
+
+// Well-known ports ("port/PROTO" for protocol-specific names)
+const SERVICES = {
+  20: 'ftp-data', 21: 'ftp', 22: 'ssh', 23: 'telnet', 25: 'smtp', 53: 'dns',
+  67: 'dhcp', 68: 'dhcp', 80: 'http', 110: 'pop3', 123: 'ntp', 143: 'imap',
+  161: 'snmp', 443: 'https', '443/UDP': 'https (QUIC)', 445: 'smb', 465: 'smtps',
+  500: 'isakmp', 587: 'smtp-submission', 853: 'dns-over-tls', 993: 'imaps',
+  995: 'pop3s', 1194: 'openvpn', 1883: 'mqtt', 3306: 'mysql', 3389: 'rdp',
+  4500: 'ipsec-nat-t', 5223: 'apple-push', 5228: 'google-play', 5353: 'mdns',
+  5432: 'postgresql', 5900: 'vnc', 6379: 'redis', 6667: 'irc', 8080: 'http-alt',
+  8443: 'https-alt', 9001: 'tor', 9050: 'tor-socks', 9418: 'git', 51820: 'wireguard'
+};
+
+// Binary locations, first match wins
+const LOCATIONS = [
+  ['app-bundle', /^(.*?\.app)\//],
+  ['system', /^\/(System|usr\/(bin|sbin|libexec|lib))\//],
+  ['homebrew', /^\/(opt\/homebrew|usr\/local\/(Cellar|opt|Homebrew))\//],
+  ['temp', /^\/(tmp|private\/tmp|private\/var\/folders|var\/folders)\//],
+  ['downloads', /^\/Users\/[^/]+\/Downloads\//],
+  ['user', /^\/Users\//]
+];
+
+const hashCache = new Map();  // "path:size:mtime" -> sha256
+
+/**
+ * IP address -> number (IPv4) or BigInt (IPv6), for range lookups
+ */
+function addressValue(address, family) {
+  if (family === 4) {
+    return address.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+  }
+  const [head, tail = ''] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const groups = address.includes('::')
+    ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill('0'), ...tailParts]
+    : headParts;
+  return groups.reduce((n, group) => (n << 16n) + BigInt(parseInt(group || '0', 16)), 0n);
+}
+
+/**
+ * Offline IP-to-ASN database in the iptoasn.com TSV format:
+ *   range_start  range_end  AS_number  country_code  AS_description
+ */
+class AsnDatabase {
+  constructor(ranges = { 4: [], 6: [] }) {
+    this.ranges = ranges;  // family -> sorted [{ start, end, asn, country, org }]
+  }
+
+  static load(dbPath) {
+    const ranges = { 4: [], 6: [] };
+    for (const line of fs.readFileSync(dbPath, 'utf8').split('\n')) {
+      const [start, end, asn, country, ...org] = line.split('\t');
+      const family = net.isIP(start);
+      if (!family || net.isIP(end) !== family) continue;
+      ranges[family].push({
+        start: addressValue(start, family),
+        end: addressValue(end, family),
+        asn: Number(asn),
+        country: country || '',
+        org: org.join(' ').trim()
+      });
+    }
+    for (const list of Object.values(ranges)) list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    return new AsnDatabase(ranges);
+  }
+
+  get size() {
+    return this.ranges[4].length + this.ranges[6].length;
+  }
+
+  /**
+   * { asn, country, org } for an address, or null if unknown / not routed
+   */
+  lookup(address, family) {
+    const list = this.ranges[family] || [];
+    const value = addressValue(address, family);
+    let low = 0;
+    let high = list.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const range = list[mid];
+      if (value < range.start) {
+        high = mid - 1;
+      } else if (value > range.end) {
+        low = mid + 1;
+      } else {
+        return range.asn ? { asn: range.asn, country: range.country, org: range.org } : null;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Range class of an address: loopback, private, link-local, shared,
+ * multicast, reserved or public
+ */
+function classifyAddress(address, family) {
+  if (!address) return null;
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  const match = RANGES.find(([, list]) => list.check(address, type));
+  return match ? match[0] : 'public';
+}
+
+/**
+ * Service name of a well-known port, e.g. 443/TCP -> "https"
+ */
+function serviceName(port, protocol) {
+  if (port === null || port === undefined) return null;
+  return SERVICES[`${port}/${String(protocol || '').toUpperCase()}`] || SERVICES[port] || null;
+}
+
+/**
+ * Where a binary lives: { kind, bundle } (bundle set for app bundles)
+ */
+function pathLocation(programPath) {
+  if (!programPath) return null;
+  for (const [kind, pattern] of LOCATIONS) {
+    const match = programPath.match(pattern);
+    if (match) return { kind, bundle: kind === 'app-bundle' ? match[1] : null };
+  }
+  return { kind: 'other', bundle: null };
+}
+
+/**
+ * SHA-256 of a file, cached by path, size and modification time
+ */
+async function fileHash(filePath) {
+  const stat = await fs.promises.stat(filePath);
+  const key = `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  if (hashCache.has(key)) return hashCache.get(key);
+
+  const hash = await new Promise((resolve, reject) => {
+    const digest = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => digest.update(chunk))
+      .on('end', () => resolve(digest.digest('hex')))
+      .on('error', reject);
+  });
+  hashCache.set(key, hash);
+  return hash;
+}
+
+/**
+ * Command line of a PID and its ancestors (closest parent first)
+ */
+async function processChain(pid, options = {}) {
+  const { stdout } = await runCommand('ps', ['-axo', 'pid=,ppid=,command='], { timeoutMs: options.timeoutMs || 3000 });
+  const processes = new Map();
+  for (const line of stdout.split('\n')) {
+    const match = line.match(/^\s*(\d+)\s+(\d+)\s+(.*)$/);
+    if (match) processes.set(match[1], { pid: match[1], ppid: match[2], command: match[3] });
+  }
+
+  const self = processes.get(String(pid));
+  if (!self) return null;
+  const parents = [];
+  let current = self;
+  while (parents.length < (options.maxDepth || 5) && current.ppid !== '0') {
+    const parent = processes.get(current.ppid);
+    if (!parent || parents.some(p => p.pid === parent.pid)) break;
+    parents.push(parent);
+    current = parent;
+  }
+  return { commandLine: self.command, parents };
+}
+
+/**
+ * Gather local context for a parsed alert
+ * options: { asnDatabase, timeoutMs, debug }
+ */
+async function enrichAlert(alert, options = {}) {
+  const debug = options.debug || (() => {});
+  const attempt = async (what, fn) => {
+    try {
+      return await fn();
+    } catch (e) {
+      debug(`Enrichment (${what}) failed:`, e.message);
+      return null;
+    }
+  };
+  const { address, family, port, protocol } = alert.endpoint || {};
+
+  const [processInfo, sha256] = await Promise.all([
+    alert.pid ? attempt('process', () => processChain(alert.pid, options)) : null,
+    alert.path ? attempt('hash', () => fileHash(alert.path)) : null
+  ]);
+
+  return {
+    process: processInfo,
+    binary: alert.path ? { sha256, location: pathLocation(alert.path) } : null,
+    network: {
+      range: classifyAddress(address, family),
+      asn: address && options.asnDatabase ? options.asnDatabase.lookup(address, family) : null,
+      service: serviceName(port, protocol)
+    }
+  };
+}
+
+module.exports = {
+  AsnDatabase,
+  classifyAddress,
+  enrichAlert,
+  pathLocation,
+  serviceName
+};
@@ -3,9 +3,8 @@
  * Uses AppleScript to extract text from LuLu alert windows
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const { runCommand } = require('./command');
+const { parseAlertTexts } = require('./parser');
 
 /**
  * Extract all text elements from the LuLu alert window
@@ -82,9 +81,7 @@ async function extractAlertData() {
   `;
 
   try {
-    const { stdout, stderr } = await execAsync(`osascript -e '${script.replace(/'/g, "'\"'\"'")}'`, {
-      timeout: 5000
-    });
+    const { stdout } = await runCommand('osascript', ['-e', script], { timeoutMs: 5000 });
 
     if (stdout.startsWith('ERROR:')) {
       console.error('AppleScript error:', stdout);
@@ -103,74 +100,6 @@ async function extractAlertData() {
   }
 }
 
-/**
- * Parse raw text array into structured alert data
- */
-function parseAlertTexts(texts) {
-  const data = {
-    processName: '',
-    pid: '',
-    path: '',
-    args: '',
-    ipAddress: '',
-    port: '',
-    protocol: 'TCP',
-    reverseDNS: '',
-    rawTexts: texts
-  };
-
-  for (const text of texts) {
-    const trimmed = text.trim();
-    
-    // Skip labels
-    if (trimmed.endsWith(':')) continue;
-    
-    // IP address pattern
-    if (/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(trimmed) && !data.ipAddress) {
-      data.ipAddress = trimmed;
-    }
-    // Port/Protocol (e.g., "443 (TCP)")
-    else if (/^\d{1,5} \((TCP|UDP)\)$/.test(trimmed)) {
-      const match = trimmed.match(/^(\d+) \((TCP|UDP)\)$/);
-      if (match) {
-        data.port = match[1];
-        data.protocol = match[2];
-      }
-    }
-    // PID (4-6 digit number)
-    else if (/^\d{4,6}$/.test(trimmed) && !data.pid) {
-      data.pid = trimmed;
-    }
-    // Path (starts with /)
-    else if (trimmed.startsWith('/') && trimmed.includes('/')) {
-      data.path = trimmed;
-      // Extract process name from path
-      const parts = trimmed.split('/');
-      const name = parts[parts.length - 1];
-      if (name && !data.processName) {
-        data.processName = name;
-      }
-    }
-    // URL args
-    else if (trimmed.startsWith('http://') || trimmed.startsWith('https://')) {
-      data.args = trimmed;
-    }
-    // Reverse DNS (hostname pattern)
-    else if (/^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\.?$/.test(trimmed) && !data.reverseDNS && !trimmed.startsWith('/')) {
-      data.reverseDNS = trimmed.replace(/\.$/, '');
-    }
-    // Process name (simple word, not a label)
-    else if (!trimmed.includes(' ') && !trimmed.includes('/') && !trimmed.includes(':') && trimmed.length < 50) {
-      const skipWords = ['Details', 'Options', 'Process', 'Connection', 'LuLu', 'Alert', 'Block', 'Allow'];
-      if (!skipWords.some(w => trimmed.includes(w)) && !data.processName) {
-        data.processName = trimmed;
-      }
-    }
-  }
-
-  return data;
-}
-
 /**
  * Control LuLu - click Allow or Block button
  */
@@ -213,7 +142,7 @@ async function clickLuLuButton(action, duration = null) {
   `;
 
   try {
-    const { stdout } = await execAsync(`osascript -e '${script.replace(/'/g, "'\"'\"'")}'`);
+    const { stdout } = await runCommand('osascript', ['-e', script], { timeoutMs: 10000 });
     return stdout.trim() === 'ok';
   } catch (err) {
     console.error('Click error:', err.message);
@@ -0,0 +1,145 @@
+/**
+ * Alert History
+ * Persistent record of every alert: parsed fields, raw texts, AI verdict,
+ * notifications, who acted, outcome and timings.
+ *
+ * Stored as append-only JSONL: each save appends the alert's full current
+ * record and the last line for an ID wins. An in-memory index (ID -> record)
+ * is rebuilt on load, and the file is rewritten without superseded lines
+ * and expired alerts when it grows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AlertHistory {
+  constructor(options = {}) {
+    if (!options.path) throw new Error('path is required for the alert history');
+    this.path = options.path;
+    this.retentionMs = options.retentionMs ?? 30 * 24 * 60 * 60 * 1000; // 0 = keep forever
+    this.debug = options.debug || (() => {});
+    this.records = new Map();  // alertId -> latest record
+    this.lines = 0;            // Lines in the file, including superseded ones
+  }
+
+  /**
+   * Read the file into the index, then drop expired alerts
+   */
+  load() {
+    let data = '';
+    try {
+      data = fs.readFileSync(this.path, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    this.records.clear();
+    this.lines = 0;
+    for (const line of data.split('\n')) {
+      if (!line.trim()) continue;
+      this.lines++;
+      try {
+        const record = JSON.parse(line);
+        if (record.id) this.records.set(record.id, record);
+      } catch (e) {
+        this.debug('Skipping bad history line:', e.message);
+      }
+    }
+    this.prune();
+    return this.records.size;
+  }
+
+  /**
+   * Store the current state of an alert
+   */
+  save(record) {
+    record.updatedAt = new Date().toISOString();
+    this.records.delete(record.id);  // Keep Map order = last updated
+    this.records.set(record.id, record);
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.appendFileSync(this.path, JSON.stringify(record) + '\n');
+    this.lines++;
+
+    // Mostly superseded lines: rewrite the file
+    if (this.lines > 2 * this.records.size + 100) this.prune();
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Drop alerts older than the retention period and rewrite the file
+   */
+  prune() {
+    if (this.retentionMs) {
+      const cutoff = Date.now() - this.retentionMs;
+      for (const [id, record] of this.records) {
+        if (Date.parse(record.detectedAt) < cutoff) this.records.delete(id);
+      }
+    }
+    if (this.lines === this.records.size) return;
+
+    const data = [...this.records.values()].map(r => JSON.stringify(r) + '\n').join('');
+    const tmpPath = `${this.path}.tmp`;
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, this.path);
+    this.debug('Compacted alert history:', this.lines, '->', this.records.size, 'lines');
+    this.lines = this.records.size;
+  }
+
+  /**
+   * Find alerts, newest first
+   *
+   * Filters: process (substring of name or path), host (substring of
+   * host or IP), since/until (ISO date or epoch ms, on detection time),
+   * outcome (comma-separated: allow, block, allow-once, block-once,
+   * failed, dismissed, pending). Paged with limit/offset.
+   * Throws on an invalid since/until.
+   *
+   * @returns {{total: number, offset: number, limit: number, alerts: Array}}
+   */
+  query(filters = {}) {
+    const processName = filters.process?.toLowerCase();
+    const host = filters.host?.toLowerCase();
+    const since = parseTime(filters.since, 'since');
+    const until = parseTime(filters.until, 'until');
+    const outcomes = filters.outcome ? String(filters.outcome).split(',').map(s => s.trim()) : null;
+
+    const matches = [...this.records.values()].filter((r) => {
+      if (processName) {
+        const names = [r.alert?.processName, r.alert?.path].filter(Boolean).map(s => s.toLowerCase());
+        if (!names.some(s => s.includes(processName))) return false;
+      }
+      if (host) {
+        const names = [r.alert?.endpoint?.host, r.alert?.endpoint?.address].filter(Boolean).map(s => s.toLowerCase());
+        if (!names.some(s => s.includes(host))) return false;
+      }
+      const detected = Date.parse(r.detectedAt);
+      if (since !== null && detected < since) return false;
+      if (until !== null && detected > until) return false;
+      if (outcomes && !outcomes.includes(r.outcome)) return false;
+      return true;
+    });
+    matches.sort((a, b) => Date.parse(b.detectedAt) - Date.parse(a.detectedAt));
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    return { total: matches.length, offset, limit, alerts: matches.slice(offset, offset + limit) };
+  }
+}
+
+/**
+ * ISO date or epoch milliseconds -> epoch ms (null if missing)
+ */
+function parseTime(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid ${name}: ${value}`);
+  return time;
+}
+
+module.exports = {
+  AlertHistory
+};
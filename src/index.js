@@ -3,47 +3,128 @@
  * Monitors LuLu Firewall alerts and forwards to OpenClaw Gateway
  */
 
-const { execSync } = require('child_process');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createAlertSource } = require('./source');
+const { parseAlertTexts, formatEndpoint, alertFields, alertFingerprint } = require('./parser');
+const { loadRules, matchRule, addRule, getCodeSignInfo } = require('./rules');
+const { readActionLog, suggestRules } = require('./learn');
+const { AlertRegistry, STATUS } = require('./registry');
+const { validateVerdict, formatVerdict } = require('./verdict');
+const { evaluatePolicy, normalizePolicy } = require('./policy');
+const { alertVariables, loadTemplates } = require('./templates');
+const { escalationReason, modelChain, normalizeRouting } = require('./routing');
+const { checkOrigin, loadOrCreateToken, requestToken, tokensMatch } = require('./auth');
+const { ROLES, authorize } = require('./roles');
+const { createNotifier } = require('./notifier');
+const { TelegramCallbackPoller } = require('./telegram');
+const { LatencyStats } = require('./metrics');
+const { AlertHistory } = require('./history');
+const { AsnDatabase, enrichAlert } = require('./enrich');
+const { ThreatIntel } = require('./intel');
 
-const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+const PROJECT_DIR = path.join(__dirname, '..');
 
 const CONFIG = {
-  pollInterval: 1000,      // Check every 1 second
+  pollInterval: 1000,      // Check every 1 second while LuLu shows alerts
+  idlePollInterval: 3000,  // Check every 3 seconds when no alert is open
+  slowPollMs: 5000,        // Log a warning when one poll takes longer than this
   gatewayPort: 18789,      // Default, will be loaded from config
   gatewayHost: '127.0.0.1',
   verbose: process.argv.includes('--verbose') || process.argv.includes('-v'),
   autoExecute: false,      // Auto-execute on high confidence (requires user opt-in)
   autoExecuteAction: 'allow-once',  // 'allow-once' (conservative) or 'allow' (permanent)
+  autoExecutePolicy: {},   // Checks before the monitor acts on a verdict by itself (see src/policy.js)
+  modelRouting: {},        // AI models per alert and when to escalate (see src/routing.js)
   telegramIds: [],  // Required: set in config.json or LULU_TELEGRAM_ID env
-  telegramNames: {} // Optional: map of telegramId -> display name
+  telegramNames: {}, // Optional: map of telegramId -> display name
+  telegramRoles: {}, // Optional: map of telegramId -> 'viewer' | 'operator' | 'admin'
+  telegramLocales: {}, // Optional: map of telegramId -> locale ('en', 'zh-TW', ...)
+  locale: 'zh-TW',     // AI prompt and users without a telegramLocales entry
+  templatesDir: 'templates',  // Prompt/message templates, one directory per locale
+  notifier: { type: 'openclaw' },  // How messages are delivered (see src/notifier.js)
+  userNotifiers: {},               // Optional: map of telegramId -> notifier config
+  telegramBot: null,               // Optional built-in bot: { botToken, apiBase, pollTimeoutSec }
+  defaultRole: 'admin',  // Role of telegramIds without an entry in telegramRoles
+  alertSource: 'applescript',  // 'applescript' (real LuLu) or 'fixture' (replay recorded alerts)
+  fixturePath: null,           // Fixture JSON file for the 'fixture' source
+  fixtureRecordPath: null,     // Optional JSONL file recording fixture clicks
+  fixtureWindows: 1,           // Fixture alerts open at the same time
+  rulesPath: 'rules.json',     // Local rules evaluated before the AI
+  suggestMinCount: 3,          // Same decision this many times -> propose a rule
+  maxConcurrentAnalyses: 2,    // Alerts analyzed by the AI at the same time
+  clickAttempts: 2,            // Click tries per action (later tries use the fallback UI path)
+  verifyTimeoutMs: 2000,       // How long to wait for the alert window to close after a click
+  alertTimeoutMs: 5 * 60 * 1000,  // Unanswered alerts get timeoutAction after this long (0 = wait forever)
+  timeoutAction: 'block-once',    // Default action when nobody answers in time
+  escalations: [],             // Reminders before the deadline: [{ afterMs, telegramIds }]
+  authTokenPath: '.auth-token', // Command server token, created on first start (mode 0600)
+  allowQuorum: 1,              // Approvals needed for a permanent "Always Allow" (2 = two-person rule)
+  quorumWindowMs: 10 * 60 * 1000,  // Time for the other approvals to arrive
+  historyPath: 'logs/alerts.jsonl',  // Persistent alert history (GET /alerts)
+  historyRetentionDays: 30,          // Drop history older than this (0 = keep forever)
+  statePath: 'logs/pending.json',    // Open alerts checkpoint, reloaded after a restart
+  enrich: true,                      // Add local context (process chain, hash, ASN, ...) before analysis
+  asnDatabasePath: 'data/asn.tsv',   // Offline IP-to-ASN database (iptoasn.com TSV format)
+  threatFeeds: [],                   // Local block/allow lists (see src/intel.js)
+  threatFeedReloadMs: 60 * 60 * 1000,  // Re-read feed files this often
+  threatAction: 'flag'               // Block list hit: 'flag' (🔴 + ask), 'block-once' or 'block'
 };
 
-let lastAlertHash = null;
+const COMMAND_PORT = 4441;
+
+const ACTIONS = ['allow', 'block', 'allow-once', 'block-once'];
+
 let gatewayToken = null;
-let lastMessageIds = {};  // Track message IDs per telegramId for editing after button click
-let lastMessageContent = null;  // Track original message content for editing
+let commandToken = null;  // Required on mutating command server routes
+let alertSource = null;
+let rules = [];
+let history = null;  // AlertHistory, every alert ever seen
+let asnDatabase = null;  // AsnDatabase for enrichment, if the file loaded
+let threatIntel = null;  // ThreatIntel, if threatFeeds are configured
+let autoExecutePolicy = null;  // Normalized autoExecutePolicy
+let modelRouting = null;  // Normalized modelRouting
+let templates = new Map();  // locale -> TemplateSet
+const registry = new AlertRegistry();  // Per-alert state: message IDs, content, resolution
+const analysisQueue = [];  // Alert entries waiting for analysis
+let activeAnalyses = 0;
+const actingIds = new Set();  // Alert IDs with a click in progress
+const pollStats = new LatencyStats();  // Duration of each detect/extract cycle
+let openWindowCount = 0;  // Alert windows seen by the last poll
+const analysisWaiters = new Map();  // alertId -> resolve() of waitForAnalysis
+const pendingSuggestions = new Map();  // suggestionId -> { id, suggestion, messageIds, content, approvals }
+const notifiers = new Map();  // notifier config JSON -> notifier instance
 const LOGS_DIR = path.join(__dirname, '..', 'logs');
+const ACTION_LOG = path.join(LOGS_DIR, 'actions.jsonl');
+
+/**
+ * One-line description of an alert, e.g. "curl → github.com (1.2.3.4) 443/TCP"
+ */
+function describeAlert(alert) {
+  if (!alert) return null;
+  return `${alert.processName || 'unknown'} → ${formatEndpoint(alert.endpoint)}`;
+}
 
 /**
  * Append to action log file
  */
-function logAction(alertInfo, action, userId, success) {
+function logAction(alertEntry, action, userId, success, extra = {}) {
   try {
     fs.mkdirSync(LOGS_DIR, { recursive: true });
-    const logFile = path.join(LOGS_DIR, 'actions.jsonl');
     const entry = {
       timestamp: new Date().toISOString(),
-      alert: alertInfo || lastMessageContent?.substring(0, 200),
+      alertId: alertEntry?.id || null,
+      alert: describeAlert(alertEntry?.alert),
+      fields: alertFields(alertEntry?.alert),
       action,
       userId,
       userName: CONFIG.telegramNames[userId] || userId,
       success,
-      messageIds: { ...lastMessageIds }
+      messageIds: { ...alertEntry?.messageIds },
+      ...extra
     };
-    fs.appendFileSync(logFile, JSON.stringify(entry) + '\n');
+    fs.appendFileSync(ACTION_LOG, JSON.stringify(entry) + '\n');
   } catch (e) {
     debug('Failed to write action log:', e.message);
   }
@@ -77,6 +158,12 @@ function loadLocalConfig() {
       CONFIG.autoExecuteAction = config.autoExecuteAction;
       debug('Auto-execute action:', CONFIG.autoExecuteAction);
     }
+    if (config.autoExecutePolicy && typeof config.autoExecutePolicy === 'object') {
+      CONFIG.autoExecutePolicy = config.autoExecutePolicy;
+    }
+    if (config.modelRouting && typeof config.modelRouting === 'object') {
+      CONFIG.modelRouting = config.modelRouting;
+    }
     // Support both telegramId (string) and telegramIds (array)
     if (config.telegramIds && Array.isArray(config.telegramIds)) {
       CONFIG.telegramIds = config.telegramIds;
@@ -86,7 +173,122 @@ function loadLocalConfig() {
     if (config.telegramNames) {
       CONFIG.telegramNames = config.telegramNames;
     }
+    if (config.telegramLocales && typeof config.telegramLocales === 'object') {
+      CONFIG.telegramLocales = config.telegramLocales;
+    }
+    if (typeof config.locale === 'string') {
+      CONFIG.locale = config.locale;
+    }
+    if (typeof config.templatesDir === 'string') {
+      CONFIG.templatesDir = config.templatesDir;
+    }
+    if (config.telegramRoles && typeof config.telegramRoles === 'object') {
+      for (const [id, role] of Object.entries(config.telegramRoles)) {
+        if (ROLES.includes(role)) {
+          CONFIG.telegramRoles[id] = role;
+        } else {
+          log(`⚠️ Ignoring unknown role "${role}" for ${id} (use ${ROLES.join(', ')})`);
+        }
+      }
+    }
+    if (ROLES.includes(config.defaultRole)) {
+      CONFIG.defaultRole = config.defaultRole;
+    }
+    if (config.notifier && typeof config.notifier === 'object') {
+      CONFIG.notifier = config.notifier;
+    }
+    if (config.userNotifiers && typeof config.userNotifiers === 'object') {
+      CONFIG.userNotifiers = config.userNotifiers;
+    }
+    if (config.telegramBot?.botToken) {
+      CONFIG.telegramBot = config.telegramBot;
+      // The bot also sends the messages unless another notifier is chosen
+      if (!config.notifier) {
+        CONFIG.notifier = { type: 'telegram', botToken: config.telegramBot.botToken, apiBase: config.telegramBot.apiBase };
+      }
+    }
     debug('Telegram IDs:', CONFIG.telegramIds);
+    if (config.alertSource) {
+      CONFIG.alertSource = config.alertSource;
+    }
+    if (config.fixturePath) {
+      CONFIG.fixturePath = config.fixturePath;
+    }
+    if (config.fixtureRecordPath) {
+      CONFIG.fixtureRecordPath = config.fixtureRecordPath;
+    }
+    if (Number.isInteger(config.fixtureWindows) && config.fixtureWindows > 0) {
+      CONFIG.fixtureWindows = config.fixtureWindows;
+    }
+    if (config.rulesPath) {
+      CONFIG.rulesPath = config.rulesPath;
+    }
+    if (Number.isInteger(config.pollInterval) && config.pollInterval > 0) {
+      CONFIG.pollInterval = config.pollInterval;
+    }
+    if (Number.isInteger(config.idlePollInterval) && config.idlePollInterval > 0) {
+      CONFIG.idlePollInterval = config.idlePollInterval;
+    }
+    if (Number.isInteger(config.slowPollMs) && config.slowPollMs > 0) {
+      CONFIG.slowPollMs = config.slowPollMs;
+    }
+    if (Number.isInteger(config.maxConcurrentAnalyses) && config.maxConcurrentAnalyses > 0) {
+      CONFIG.maxConcurrentAnalyses = config.maxConcurrentAnalyses;
+    }
+    if (Number.isInteger(config.clickAttempts) && config.clickAttempts > 0) {
+      CONFIG.clickAttempts = config.clickAttempts;
+    }
+    if (Number.isInteger(config.verifyTimeoutMs) && config.verifyTimeoutMs >= 0) {
+      CONFIG.verifyTimeoutMs = config.verifyTimeoutMs;
+    }
+    if (Number.isInteger(config.suggestMinCount) && config.suggestMinCount > 0) {
+      CONFIG.suggestMinCount = config.suggestMinCount;
+    }
+    if (config.authTokenPath) {
+      CONFIG.authTokenPath = config.authTokenPath;
+    }
+    if (Number.isInteger(config.allowQuorum) && config.allowQuorum > 0) {
+      CONFIG.allowQuorum = config.allowQuorum;
+    }
+    if (Number.isInteger(config.quorumWindowMs) && config.quorumWindowMs > 0) {
+      CONFIG.quorumWindowMs = config.quorumWindowMs;
+    }
+    if (typeof config.enrich === 'boolean') {
+      CONFIG.enrich = config.enrich;
+    }
+    if (config.asnDatabasePath) {
+      CONFIG.asnDatabasePath = config.asnDatabasePath;
+    }
+    if (Array.isArray(config.threatFeeds)) {
+      CONFIG.threatFeeds = config.threatFeeds;
+    }
+    if (Number.isInteger(config.threatFeedReloadMs) && config.threatFeedReloadMs > 0) {
+      CONFIG.threatFeedReloadMs = config.threatFeedReloadMs;
+    }
+    if (['flag', 'block-once', 'block'].includes(config.threatAction)) {
+      CONFIG.threatAction = config.threatAction;
+    }
+    if (config.statePath) {
+      CONFIG.statePath = config.statePath;
+    }
+    if (config.historyPath) {
+      CONFIG.historyPath = config.historyPath;
+    }
+    if (typeof config.historyRetentionDays === 'number' && config.historyRetentionDays >= 0) {
+      CONFIG.historyRetentionDays = config.historyRetentionDays;
+    }
+    if (Number.isInteger(config.alertTimeoutMs) && config.alertTimeoutMs >= 0) {
+      CONFIG.alertTimeoutMs = config.alertTimeoutMs;
+    }
+    if (ACTIONS.includes(config.timeoutAction)) {
+      CONFIG.timeoutAction = config.timeoutAction;
+    }
+    if (Array.isArray(config.escalations)) {
+      CONFIG.escalations = config.escalations
+        .filter(e => Number.isInteger(e?.afterMs) && e.afterMs >= 0)
+        .map(e => ({ afterMs: e.afterMs, telegramIds: Array.isArray(e.telegramIds) ? e.telegramIds.map(String) : [] }))
+        .sort((a, b) => a.afterMs - b.afterMs);
+    }
   } catch (e) {
     debug('No local config found, using defaults');
   }
@@ -96,6 +298,12 @@ function loadLocalConfig() {
     CONFIG.telegramIds = process.env.LULU_TELEGRAM_ID.split(',').map(s => s.trim());
     debug('Telegram IDs from env:', CONFIG.telegramIds);
   }
+  if (process.env.LULU_ALERT_SOURCE) {
+    CONFIG.alertSource = process.env.LULU_ALERT_SOURCE;
+  }
+  if (process.env.LULU_FIXTURE) {
+    CONFIG.fixturePath = process.env.LULU_FIXTURE;
+  }
   
   if (!CONFIG.telegramIds.length) {
     log('ERROR: telegramIds is required. Set telegramId/telegramIds in config.json or LULU_TELEGRAM_ID env var.');
@@ -140,463 +348,1304 @@ function loadGatewayConfig() {
 }
 
 /**
- * Run AppleScript file
+ * Load local rules file, keeping the previous rules if it is invalid
  */
-function runScript(scriptName) {
-  const scriptPath = path.join(SCRIPTS_DIR, scriptName);
+function loadLocalRules() {
+  const rulesPath = path.resolve(PROJECT_DIR, CONFIG.rulesPath);
   try {
-    const result = execSync(`osascript "${scriptPath}"`, {
-      encoding: 'utf8',
-      timeout: 10000
-    }).trim();
-    return result;
+    rules = loadRules(rulesPath);
+    log(`📏 Loaded ${rules.length} local rule(s)`);
   } catch (e) {
-    debug(`Script ${scriptName} error:`, e.message);
-    return null;
+    log('❌ Invalid rules file, keeping previous rules:', e.message);
   }
 }
 
 /**
- * Check if LuLu alert window exists
+ * Reload rules whenever the rules file changes
  */
-function checkForAlert() {
-  const result = runScript('check-alert.scpt');
-  return result === 'true';
+function watchLocalRules() {
+  const rulesPath = path.resolve(PROJECT_DIR, CONFIG.rulesPath);
+  fs.watchFile(rulesPath, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) {
+      debug('Rules file changed, reloading');
+      loadLocalRules();
+    }
+  });
 }
 
 /**
- * Extract all text from LuLu alert window
+ * Record the outcome of an action in the registry
+ * Failed actions leave the alert open for another try
  */
-function extractAlertData() {
-  const result = runScript('extract-alert.scpt');
-  if (!result) return null;
-  
-  const texts = result.split('|||').filter(t => t.trim());
-  return {
-    texts,
-    hash: texts.join('|').substring(0, 200),
-    timestamp: Date.now()
-  };
+function recordOutcome(entry, action, by, result) {
+  const resolution = { action, by, success: result.success, reason: result.reason || null };
+  if (result.success) {
+    registry.resolve(entry.id, resolution);
+  } else {
+    registry.fail(entry.id, resolution);
+  }
+  alertChanged(entry);
 }
 
 /**
- * Format alert data for OpenClaw analysis
- * Uses pattern matching since UI text order is unpredictable
+ * Open the alert history and drop expired alerts
  */
-function formatAlertMessage(alertData) {
-  const texts = alertData.texts;
-  const allText = texts.join(' ');
-  
-  // Pattern matching for values
-  let processName = '';
-  let pid = '';
-  let args = '';
-  let programPath = '';
-  let ipAddress = '';
-  let port = '';
-  let dns = '';
-  
-  // Skip labels and UI elements
-  const skipPatterns = [
-    'Details & Options', 'LuLu Alert', 'Process:', 'Connection:',
-    'pid:', 'args:', 'path:', 'port/protocol:', 'ip address:',
-    '(reverse) dns:', 'Rule Scope:', 'Rule Duration:', 'Time stamp:',
-    'none', 'unknown'
-  ];
+function initHistory() {
+  const store = new AlertHistory({
+    path: path.resolve(PROJECT_DIR, CONFIG.historyPath),
+    retentionMs: CONFIG.historyRetentionDays * 24 * 60 * 60 * 1000,
+    debug
+  });
+  debug('Loaded', store.load(), 'alert(s) from history');
+  history = store;
+  setInterval(() => {
+    try { history.prune(); } catch (e) { debug('History prune failed:', e.message); }
+  }, 60 * 60 * 1000).unref();
+}
+
+/**
+ * Persist an alert after any state change: history and pending checkpoint
+ */
+function alertChanged(entry) {
+  saveHistory(entry);
+  checkpointPending();
+}
+
+/**
+ * Save open alerts (message IDs, content, deadline) so a restart can pick
+ * them up again
+ */
+function checkpointPending() {
+  const statePath = path.resolve(PROJECT_DIR, CONFIG.statePath);
+  try {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), alerts: registry.snapshot() }, null, 2) + '\n');
+    fs.renameSync(tmpPath, statePath);
+  } catch (e) {
+    debug('Failed to checkpoint pending alerts:', e.message);
+  }
+}
+
+/**
+ * Reload alerts that were open when the monitor stopped
+ * Alerts whose LuLu window is still open carry on (same buttons, same
+ * deadline); the Telegram messages of the others are marked expired.
+ */
+async function recoverPending() {
+  const statePath = path.resolve(PROJECT_DIR, CONFIG.statePath);
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(statePath, 'utf8')).alerts || [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('⚠️ Could not read pending alerts:', e.message);
+    return;
+  }
+  if (!saved.length) return;
   
-  for (const t of texts) {
-    const trimmed = t.trim();
-    if (!trimmed) continue;
-    
-    // Skip labels and UI elements
-    if (skipPatterns.some(p => trimmed.toLowerCase() === p.toLowerCase())) continue;
-    if (trimmed.endsWith(':')) continue;
-    
-    // IP address pattern (IPv4)
-    if (!ipAddress && /^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(trimmed)) {
-      ipAddress = trimmed;
-      continue;
-    }
-    
-    // Port pattern: "443 (TCP)" or "53 (UDP)"
-    if (!port && /^\d+\s*\((TCP|UDP)\)$/i.test(trimmed)) {
-      port = trimmed;
-      continue;
-    }
-    
-    // PID: pure number, 4-6 digits
-    if (!pid && /^\d{4,6}$/.test(trimmed)) {
-      pid = trimmed;
-      continue;
-    }
-    
-    // Path: starts with /
-    if (!programPath && trimmed.startsWith('/')) {
-      programPath = trimmed;
-      continue;
-    }
-    
-    // Args: starts with - or contains URL/path-like content
-    if (!args && (trimmed.startsWith('-') || trimmed.includes('://'))) {
-      args = trimmed;
-      continue;
-    }
-    
-    // DNS: contains dots but not IP
-    if (!dns && trimmed.includes('.') && !/^\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(trimmed)) {
-      dns = trimmed;
-      continue;
-    }
-    
-    // Process name: short string without special chars, first one found
-    if (!processName && trimmed.length > 0 && trimmed.length < 30 && 
-        /^[a-zA-Z0-9_-]+$/.test(trimmed)) {
-      processName = trimmed;
+  const openIds = (await extractAllAlerts()).map(a => AlertRegistry.alertId(a.fingerprint));
+  let resumed = 0;
+  for (const data of saved) {
+    const entry = registry.restore(data);
+    if (openIds.includes(entry.id)) {
+      resumed++;
+      // Never got to Telegram: analyze again
+      if (!Object.keys(entry.messageIds).length) analysisQueue.push(entry);
       continue;
     }
+    registry.dismiss(entry.id);
+    saveHistory(entry);
+    editEntryStatus(entry, t => t.string('expired'))
+      .catch(e => debug('Failed to mark', entry.id, 'expired:', e.message));
   }
+  checkpointPending();
+  log(`♻️ Recovered ${saved.length} open alert(s) after restart: ${resumed} still open, ${saved.length - resumed} expired`);
+}
+
+/**
+ * Write the current state of an alert to the history
+ */
+function saveHistory(entry) {
+  if (!history) return;
+  const outcome = {
+    [STATUS.PENDING]: 'pending',
+    [STATUS.RESOLVED]: entry.resolution?.action,
+    [STATUS.FAILED]: 'failed',
+    [STATUS.DISMISSED]: 'dismissed'
+  }[entry.status];
+  const iso = (ms) => ms ? new Date(ms).toISOString() : null;
+  try {
+    history.save({
+      id: entry.id,
+      status: entry.status,
+      outcome,
+      summary: describeAlert(entry.alert),
+      alert: entry.alert,
+      texts: entry.texts,
+      verdict: entry.verdict,
+      model: entry.model,
+      enrichment: entry.enrichment,
+      intel: entry.intel,
+      policy: entry.policy,
+      notifications: { ...entry.messageIds },
+      resolution: entry.resolution,
+      actedBy: entry.resolution ? (CONFIG.telegramNames[entry.resolution.by] || entry.resolution.by) : null,
+      approvals: entry.approvals?.voters || null,
+      timedOut: entry.timedOut,
+      detectedAt: iso(entry.createdAt),
+      notifiedAt: iso(entry.notifiedAt),
+      resolvedAt: iso(entry.resolvedAt),
+      notifyMs: entry.notifiedAt ? entry.notifiedAt - entry.createdAt : null,
+      decisionMs: entry.resolvedAt ? entry.resolvedAt - entry.createdAt : null
+    });
+  } catch (e) {
+    debug('Failed to write alert history:', e.message);
+  }
+}
+
+/**
+ * Apply the first matching local rule to an alert
+ * Returns true if the alert was decided locally
+ */
+async function applyLocalRule(entry) {
+  const rule = await matchRule(rules, entry.alert);
+  if (!rule) return false;
   
-  // Build message for OpenClaw to analyze
-  const lines = [
-    '[LULU_ALERT]',
-    `process: ${processName || 'unknown'}`,
-    `pid: ${pid || 'unknown'}`,
-    `path: ${programPath || 'unknown'}`,
-    `args: ${args || 'none'}`,
-    `ip: ${ipAddress || 'unknown'}`,
-    `port: ${port || 'unknown'}`,
-    `dns: ${dns || 'unknown'}`,
-    '[/LULU_ALERT]',
-    '',
-    '請分析這個 LuLu 防火牆警報：',
-    '1. 識別程式和連線目標',
-    '2. 評估風險等級 (🟢低/🟡中/🔴高)',
-    '3. 給出建議 (Allow/Block, 永久或本次)',
-  ];
-  
-  // Add auto-execute instructions if enabled
-  if (CONFIG.autoExecute) {
-    lines.push('');
-    lines.push('⚡ 自動執行模式已開啟：');
-    lines.push('如果你對決策有高度信心（已知安全程式如 curl/brew/node/git/系統服務連到正常目標），');
-    lines.push('可以直接執行動作：');
-    lines.push('1. 先調用 exec: curl -X POST http://127.0.0.1:4441/callback -H "Content-Type: application/json" -d "{\\"action\\":\\"' + CONFIG.autoExecuteAction + '\\"}"');
-    lines.push('2. 然後發送 Telegram 通知（無按鈕），說明已自動允許及原因');
-    lines.push('');
-    lines.push('如果信心不足或有任何疑慮，改為發送帶按鈕的通知讓用戶決定。');
-  }
-  
-  lines.push('');
-  lines.push('⚠️ 重要：不要自己發送 Telegram 訊息！只需要把分析結果寫入檔案，monitor 會自動發送給所有用戶。');
-  lines.push('');
-  lines.push('請把你的分析摘要（包含程式名、目標、風險等級、建議）寫入以下檔案：');
-  lines.push('exec command: cat > /tmp/lulu-analysis.txt << \'ANALYSIS_EOF\'');
-  lines.push('<你的完整分析摘要>');
-  lines.push('ANALYSIS_EOF');
-  lines.push('');
-  lines.push('格式範例：');
-  lines.push('[LuLu] 🟢 低風險');
-  lines.push('');
-  lines.push('程式: curl');
-  lines.push('目標: example.com (1.2.3.4:443)');
-  lines.push('行為: HTTPS GET 請求');
-  lines.push('建議: ✅ Allow Once');
-  lines.push('');
-  lines.push('寫完檔案後回覆 NO_REPLY。');
-  
-  return lines.join('\n');
-}
-
-/**
- * Send analysis to all Telegram users via CLI with inline buttons
- */
-function sendToAllUsers(analysisText) {
-  lastMessageIds = {};
-  lastMessageContent = analysisText;
-  
-  const buttons = '[[{"text":"✅ Always Allow","callback_data":"lulu:allow"},{"text":"✅ Allow Once","callback_data":"lulu:allow-once"}],[{"text":"❌ Always Block","callback_data":"lulu:block"},{"text":"❌ Block Once","callback_data":"lulu:block-once"}]]';
-  
-  for (const id of CONFIG.telegramIds) {
-    try {
-      const escapedMessage = analysisText.replace(/'/g, "'\\''");
-      const cmd = `openclaw message send --channel telegram --target ${id} --message '${escapedMessage}' --buttons '${buttons}'`;
-      const output = execSync(cmd, { encoding: 'utf8', timeout: 15000, stdio: 'pipe' });
-      
-      // Extract message ID from CLI output
-      const match = output.match(/Message ID:\s*(\d+)/i);
-      if (match) {
-        lastMessageIds[id] = match[1];
-        debug('Sent to', id, '-> msg', match[1]);
-      } else {
-        log('⚠️ Sent to', id, 'but could not extract message ID');
-        debug('CLI output:', output);
-      }
-    } catch (e) {
-      log('❌ Failed to send to', id, ':', e.message?.substring(0, 100));
-    }
+  if (rule.action === 'ask') {
+    debug('Rule', rule.id, 'says ask, forwarding to AI');
+    entry.askRule = { id: rule.id, description: rule.description };
+    if (rule.timeoutAction) entry.timeoutAction = rule.timeoutAction;
+    return false;
   }
   
-  log('📤 Sent to', Object.keys(lastMessageIds).length, '/', CONFIG.telegramIds.length, 'users');
+  log(`📏 Rule ${rule.id} matched: ${rule.action}`);
+  const result = await executeAction(rule.action, entry);
+  recordOutcome(entry, rule.action, `rule:${rule.id}`, result);
+  logAction(entry, rule.action, null, result.success, { ruleId: rule.id, reason: result.reason });
+  return true;
 }
 
 /**
- * Wait for analysis file written by sub-agent
+ * Create the alert source backend from config
  */
-function waitForAnalysis(timeoutMs = 30000) {
-  return new Promise((resolve) => {
-    const analysisPath = '/tmp/lulu-analysis.txt';
-    const startTime = Date.now();
-    
-    // Clean up old file
-    try { fs.unlinkSync(analysisPath); } catch (e) {}
-    
-    const check = () => {
-      try {
-        const content = fs.readFileSync(analysisPath, 'utf8').trim();
-        if (content.length > 10) {
-          debug('Analysis file found:', content.length, 'chars');
-          try { fs.unlinkSync(analysisPath); } catch (e) {}
-          resolve(content);
-          return;
-        }
-      } catch (e) {}
-      
-      if (Date.now() - startTime > timeoutMs) {
-        debug('Analysis file timeout');
-        resolve(null);
-        return;
-      }
-      
-      setTimeout(check, 500);
-    };
-    check();
+function initAlertSource() {
+  const resolve = (p) => p && path.resolve(PROJECT_DIR, p);
+  alertSource = createAlertSource({
+    type: CONFIG.alertSource,
+    fixturePath: resolve(CONFIG.fixturePath),
+    recordPath: resolve(CONFIG.fixtureRecordPath),
+    maxWindows: CONFIG.fixtureWindows,
+    debug
   });
+  debug('Alert source:', alertSource.type);
 }
 
 /**
- * Send alert to OpenClaw for AI analysis
- * Sub-agent analyzes and writes to /tmp/lulu-analysis.txt
- * Then lulu-monitor sends to all users via CLI
+ * Check if LuLu alert window exists
  */
-async function sendToGateway(message, alertHash) {
-  return new Promise((resolve, reject) => {
-    // Clean up old analysis file
-    try { fs.unlinkSync('/tmp/lulu-analysis.txt'); } catch (e) {}
-    
-    const data = JSON.stringify({
-      tool: 'sessions_spawn',
-      args: {
-        task: message,
-        model: 'haiku',
-        runTimeoutSeconds: 30,
-        cleanup: 'delete'
-      }
-    });
+async function checkForAlert() {
+  return alertSource.detect();
+}
 
-    const options = {
-      hostname: CONFIG.gatewayHost,
-      port: CONFIG.gatewayPort,
-      path: '/tools/invoke',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data),
-        ...(gatewayToken && { 'Authorization': `Bearer ${gatewayToken}` })
-      },
-      timeout: 10000
+/**
+ * Extract text from every open LuLu alert window
+ */
+async function extractAllAlerts() {
+  return (await alertSource.list()).map(({ texts, raw }) => {
+    const alert = parseAlertTexts(texts);
+    return {
+      texts,
+      raw,  // Exact window text, used to click the right window later
+      alert,
+      fingerprint: alertFingerprint(alert),
+      timestamp: Date.now()
     };
+  });
+}
 
-    debug('Sending to gateway:', options.hostname + ':' + options.port + options.path);
-
-    const req = http.request(options, (res) => {
-      let body = '';
-      res.on('data', chunk => body += chunk);
-      res.on('end', async () => {
-        if (res.statusCode === 200) {
-          try {
-            const result = JSON.parse(body);
-            if (result.ok) {
-              debug('Sub-agent spawned, waiting for analysis file...');
-              
-              // Wait for sub-agent to write analysis
-              const analysis = await waitForAnalysis(30000);
-              
-              if (analysis) {
-                sendToAllUsers(analysis);
-                log('✅ Analysis received and sent to all users');
-              } else {
-                log('⚠️ Analysis file not found after timeout, sub-agent may have failed');
-              }
-              
-              resolve(true);
-            } else {
-              debug('Gateway returned error:', result);
-              reject(new Error(result.error?.message || 'Unknown error'));
-            }
-          } catch (e) {
-            debug('Failed to parse response:', body);
-            resolve(true);
-          }
-        } else {
-          debug('Gateway response:', res.statusCode, body);
-          reject(new Error(`Gateway returned ${res.statusCode}`));
-        }
-      });
-    });
-
-    req.on('error', (e) => {
-      debug('Gateway request error:', e.message);
-      reject(e);
-    });
+/**
+ * Load the offline ASN database used by enrichment
+ */
+function loadAsnDatabase() {
+  if (!CONFIG.enrich || !CONFIG.asnDatabasePath) return;
+  try {
+    asnDatabase = AsnDatabase.load(path.resolve(PROJECT_DIR, CONFIG.asnDatabasePath));
+    debug('Loaded', asnDatabase.size, 'ASN ranges from', CONFIG.asnDatabasePath);
+  } catch (e) {
+    log('⚠️ ASN database not loaded:', e.message);
+  }
+}
 
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+/**
+ * Prompt lines for the enrichment of an alert
+ */
+function enrichmentLines(enrichment) {
+  if (!enrichment) return [];
+  const lines = [];
+  const { process: proc, binary, network } = enrichment;
+  if (proc) {
+    lines.push(`command: ${proc.commandLine.substring(0, 300)}`);
+    if (proc.parents.length) {
+      lines.push(`parents: ${proc.parents.map(p => `${p.command.substring(0, 80)} (${p.pid})`).join(' <- ')}`);
+    }
+  }
+  if (binary) {
+    lines.push(`sha256: ${binary.sha256 || 'unknown'}`);
+    lines.push(`location: ${binary.location.kind}${binary.location.bundle ? ` (${binary.location.bundle})` : ''}`);
+  }
+  if (network.range) lines.push(`ip range: ${network.range}`);
+  if (network.asn) lines.push(`asn: AS${network.asn.asn} ${network.asn.org}${network.asn.country ? ` (${network.asn.country})` : ''}`);
+  if (network.service) lines.push(`service: ${network.service}`);
+  return lines;
+}
 
-    req.write(data);
-    req.end();
+/**
+ * Create the threat intel feeds from config (throws on invalid feed config)
+ */
+function initThreatIntel() {
+  if (!CONFIG.threatFeeds.length) return;
+  threatIntel = new ThreatIntel({
+    feeds: CONFIG.threatFeeds.map(feed => ({ ...feed, path: feed.path && path.resolve(PROJECT_DIR, feed.path) })),
+    debug
   });
+  setInterval(reloadThreatFeeds, CONFIG.threatFeedReloadMs).unref();
 }
 
 /**
- * Edit a single Telegram message via CLI (tools/invoke edit doesn't work)
+ * Re-read the threat intel feed files
  */
-function editSingleMessage(targetId, messageId, newMessage) {
-  return new Promise((resolve) => {
-    // Escape message for shell
-    const escapedMessage = newMessage.replace(/'/g, "'\\''");
-    const cmd = `openclaw message edit --channel telegram --target ${targetId} --message-id ${messageId} --message '${escapedMessage}'`;
-    
-    try {
-      execSync(cmd, { encoding: 'utf8', timeout: 15000, stdio: 'pipe' });
-      debug('Edit message success:', targetId, messageId);
-      resolve(true);
-    } catch (e) {
-      debug('Edit message failed:', targetId, messageId, e.message?.substring(0, 100));
-      resolve(false);
-    }
-  });
+async function reloadThreatFeeds() {
+  if (!threatIntel) return;
+  const counts = await threatIntel.load();
+  const summary = Object.entries(counts).map(([name, count]) => `${name} (${count})`).join(', ');
+  log(`🛡️ Loaded ${Object.keys(counts).length}/${CONFIG.threatFeeds.length} threat feed(s)` + (summary ? `: ${summary}` : ''));
 }
 
 /**
- * Edit Telegram messages for all users to show result and who acted
+ * One line naming the feed that matched, for Telegram
  */
-async function editTelegramMessages(action, success, actorId) {
-  const isAllow = action.startsWith('allow');
-  const isOnce = action.endsWith('-once');
-  const statusEmoji = success ? (isAllow ? '✅' : '🚫') : '❌';
-  const durationText = isOnce ? ' (本次)' : ' (永久)';
-  const actorName = CONFIG.telegramNames[actorId] || actorId || 'unknown';
-  const statusText = success 
-    ? (isAllow ? '已允許' : '已封鎖') + durationText
-    : '操作失敗';
+function intelLine(intel, t = templatesFor(null)) {
+  return t.string(`intel.${intel.list}`, intel);
+}
+
+/**
+ * Check an alert against the threat feeds
+ * A block list hit is taken right away unless threatAction is 'flag';
+ * otherwise the hit is only shown in the prompt and the Telegram message.
+ * Returns true if the alert was decided here
+ */
+async function applyThreatIntel(entry) {
+  if (!threatIntel) return false;
+  entry.intel = threatIntel.check(entry.alert, entry.enrichment);
+  if (!entry.intel) return false;
   
-  const statusLine = `\n\n${statusEmoji} ${statusText} by ${actorName}`;
+  const { feed, list, indicator } = entry.intel;
+  log(`🛡️ Threat feed ${feed} (${list} list) matched ${indicator} for ${entry.id}`);
+  alertChanged(entry);
+  if (list !== 'block' || CONFIG.threatAction === 'flag') return false;
   
-  const editPromises = [];
-  for (const id of CONFIG.telegramIds) {
-    const msgId = lastMessageIds[id];
-    if (!msgId) continue;
-    
-    let newMessage;
-    if (lastMessageContent) {
-      newMessage = lastMessageContent + statusLine;
-    } else {
-      newMessage = statusLine.trim();
-    }
-    
-    editPromises.push(editSingleMessage(id, msgId, newMessage));
-  }
+  const action = CONFIG.threatAction;
+  const result = await executeAction(action, entry);
+  recordOutcome(entry, action, `intel:${feed}`, result);
+  logAction(entry, action, null, result.success, { intel: entry.intel, reason: result.reason });
   
-  const results = await Promise.all(editPromises);
-  return results.some(r => r);
+  entry.content = renderLocales(t => t.string('intel.notice', {
+    status: result.success
+      ? t.string('intel.executed', { result: actionLabel(action, t) })
+      : t.string('intel.failed', { action, reason: result.reason }),
+    intel: intelLine(entry.intel, t),
+    process: entry.alert.processName || 'unknown',
+    endpoint: formatEndpoint(entry.alert.endpoint)
+  }));
+  // Keep the buttons if LuLu did not take the click
+  entry.messageIds = await broadcastMessage(id => contentFor(entry, id), result.success ? null : id => alertButtons(entry, id));
+  entry.notifiedAt = Date.now();
+  alertChanged(entry);
+  return true;
 }
 
 /**
- * Main poll function
+ * Load and check the templates of every locale, and make sure each
+ * configured locale has them
  */
-async function poll() {
-  try {
-    const hasAlert = checkForAlert();
-    
-    if (hasAlert) {
-      const alertData = extractAlertData();
-      
-      if (alertData && alertData.hash !== lastAlertHash) {
-        log('🚨 New LuLu alert detected!');
-        log('   Texts:', alertData.texts.slice(0, 3).join(', ') + '...');
-        lastAlertHash = alertData.hash;
-        
-        const message = formatAlertMessage(alertData);
-        const shortHash = alertData.hash.substring(0, 16).replace(/[^a-zA-Z0-9]/g, '');
-        
-        try {
-          await sendToGateway(message, shortHash);
-          log('✅ Alert forwarded to Telegram');
-        } catch (e) {
-          log('⚠️ Failed to send to Gateway:', e.message);
-          // Write to file as fallback
-          const fallbackPath = path.join(process.env.HOME, '.openclaw', 'lulu-alert.txt');
-          try {
-            fs.mkdirSync(path.dirname(fallbackPath), { recursive: true });
-            fs.writeFileSync(fallbackPath, message);
-            log('📝 Wrote alert to fallback file:', fallbackPath);
-          } catch (writeErr) {
-            log('❌ Failed to write fallback:', writeErr.message);
-          }
-        }
-      }
-    } else if (lastAlertHash) {
-      debug('Alert dismissed');
-      lastAlertHash = null;
+function initTemplates() {
+  const loaded = loadTemplates(path.resolve(PROJECT_DIR, CONFIG.templatesDir));
+  for (const [id, locale] of [[null, CONFIG.locale], ...Object.entries(CONFIG.telegramLocales)]) {
+    if (!loaded.has(locale)) {
+      throw new Error(`No templates for locale "${locale}"` + (id ? ` (telegramLocales.${id})` : '') + `, have: ${[...loaded.keys()].join(', ')}`);
     }
-  } catch (e) {
-    debug('Poll error:', e.message);
   }
-  
-  setTimeout(poll, CONFIG.pollInterval);
+  templates = loaded;
+  debug('Loaded templates for', [...loaded.keys()].join(', '));
+}
+
+function localeFor(telegramId) {
+  return CONFIG.telegramLocales[telegramId] || CONFIG.locale;
 }
 
 /**
- * Create simple HTTP server for receiving commands
+ * TemplateSet for one Telegram user (null: default locale)
  */
-function startCommandServer() {
-  const server = http.createServer((req, res) => {
-    if (req.method === 'POST' && req.url === '/action') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const { action } = JSON.parse(body);
-          const validActions = ['allow', 'block', 'allow-once', 'block-once'];
-          if (validActions.includes(action)) {
-            const success = executeAction(action);
-            res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success, action }));
-          } else {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Invalid action. Use "allow", "block", "allow-once", or "block-once"' }));
-          }
+function templatesFor(telegramId) {
+  return templates.get(localeFor(telegramId));
+}
+
+/**
+ * Render a text once per locale in use -> { locale: text }
+ */
+function renderLocales(textFor) {
+  const locales = new Set([CONFIG.locale, ...CONFIG.telegramIds.map(localeFor)]);
+  return Object.fromEntries([...locales].map(locale => [locale, textFor(templates.get(locale))]));
+}
+
+/**
+ * Alert message as sent to one user
+ * content is { locale -> text }, or a plain string (POST /register)
+ */
+function contentFor(entry, telegramId) {
+  const content = entry.content;
+  if (!content || typeof content === 'string') return content;
+  return content[localeFor(telegramId)] || content[CONFIG.locale];
+}
+
+/**
+ * Validate modelRouting
+ */
+function initModelRouting() {
+  modelRouting = normalizeRouting(CONFIG.modelRouting);
+  debug('Model chain:', modelRouting.models.map(m => m.model).join(' -> '),
+    modelRouting.overrides.length ? `(${modelRouting.overrides.length} process override(s))` : '');
+}
+
+/**
+ * Validate autoExecutePolicy; autoExecuteAction sets the default actions
+ */
+function initAutoExecutePolicy() {
+  autoExecutePolicy = normalizePolicy({
+    actions: CONFIG.autoExecuteAction === 'allow' ? ['allow-once', 'allow'] : ['allow-once'],
+    ...CONFIG.autoExecutePolicy
+  });
+}
+
+/**
+ * Act on the AI verdict without asking, if autoExecute is on and the
+ * policy allows it. The decision is logged and kept with the alert either way.
+ * Returns true if the alert was decided here
+ */
+async function applyAutoExecute(entry) {
+  if (!CONFIG.autoExecute || !entry.verdict) return false;
+  const signed = entry.alert.path ? (await getCodeSignInfo(entry.alert.path)).signed : null;
+  const decision = evaluatePolicy(entry.verdict, autoExecutePolicy, { signed, intel: entry.intel, askRule: entry.askRule });
+  entry.policy = decision;
+  if (decision.execute) {
+    log(`⚡ Auto-execute policy allows ${decision.action} for ${entry.id}` + (decision.action !== decision.recommended ? ` (AI said ${decision.recommended})` : ''));
+  } else {
+    log(`✋ Auto-execute policy refused ${decision.recommended} for ${entry.id}: ${decision.reasons.join(', ')}`);
+  }
+  alertChanged(entry);
+  if (!decision.execute) return false;
+  
+  const { action } = decision;
+  const result = await executeAction(action, entry);
+  recordOutcome(entry, action, 'ai', result);
+  logAction(entry, action, null, result.success, { policy: decision, verdict: entry.verdict, reason: result.reason });
+  
+  // Keep the buttons if LuLu did not take the click
+  await sendToAllUsers(t => `${formatVerdict(entry.verdict, entry.alert, t, entry.model)}\n\n` +
+    statusLine(t, '⚡', action, result.success, t.string('autoExecute'), result.reason), entry, !result.success);
+  return true;
+}
+
+/**
+ * Format alert data for OpenClaw analysis (prompt.txt of the default locale)
+ */
+function formatAlertMessage(alertData, alertId) {
+  const alert = alertData.alert || parseAlertTexts(alertData.texts);
+  const intel = alertData.intel;
+  
+  return templatesFor(null).render('prompt', {
+    ...alertVariables(alert, alertId),
+    enrichment: enrichmentLines(alertData.enrichment).join('\n'),
+    intel: intel ? `threat intel: ${intel.list}list "${intel.feed}" matched ${intel.indicator}` : null,
+    analysisUrl: `http://127.0.0.1:${COMMAND_PORT}/analysis/${alertId}`,
+    analysisToken: alertData.analysisToken
+  });
+}
+
+/**
+ * Notifier for one user (userNotifiers entry, else the default notifier)
+ * Users with identical notifier config share one instance.
+ */
+function notifierFor(telegramId) {
+  const options = CONFIG.userNotifiers[telegramId] || CONFIG.notifier;
+  const key = JSON.stringify(options);
+  if (!notifiers.has(key)) {
+    const resolved = options.path ? { ...options, path: path.resolve(PROJECT_DIR, options.path) } : options;
+    notifiers.set(key, createNotifier(resolved));
+  }
+  return notifiers.get(key);
+}
+
+/**
+ * Create every configured notifier up front, so config errors show at startup
+ */
+function initNotifiers() {
+  notifierFor(null);
+  for (const id of Object.keys(CONFIG.userNotifiers)) {
+    debug('Notifier for', id + ':', notifierFor(id).type);
+  }
+  debug('Default notifier:', notifierFor(null).type);
+}
+
+/**
+ * Send a message with inline buttons to all users via their notifiers
+ * text and buttons may be functions of the Telegram ID (per-user locale).
+ * Returns map of telegramId -> message ID
+ */
+async function broadcastMessage(text, buttons, telegramIds = CONFIG.telegramIds) {
+  const messageIds = {};
+  const forUser = (value, id) => (typeof value === 'function' ? value(id) : value);
+  
+  await Promise.all(telegramIds.map(async (id) => {
+    try {
+      messageIds[id] = await notifierFor(id).send(id, forUser(text, id), forUser(buttons, id));
+      debug('Sent to', id, '-> msg', messageIds[id]);
+    } catch (e) {
+      log('❌ Failed to send to', id, ':', e.message?.substring(0, 100));
+    }
+  }));
+  
+  log('📤 Sent to', Object.keys(messageIds).length, '/', telegramIds.length, 'users');
+  return messageIds;
+}
+
+/**
+ * Allow/Block buttons for one alert, labeled in the user's locale
+ */
+function alertButtons(entry, telegramId = null) {
+  const t = templatesFor(telegramId);
+  const button = (action) => ({ text: t.string(`buttons.${action}`), callback_data: `lulu:${action}:${entry.id}` });
+  return [
+    [button('allow'), button('allow-once')],
+    [button('block'), button('block-once')]
+  ];
+}
+
+/**
+ * Send analysis to all Telegram users with Allow/Block buttons for this alert
+ * textFor(templates) renders the message once per locale in use.
+ */
+async function sendToAllUsers(textFor, entry, withButtons = true) {
+  entry.content = renderLocales((t) => {
+    const text = textFor(t);
+    return entry.intel ? `${intelLine(entry.intel, t)}\n\n${text}` : text;
+  });
+  entry.messageIds = await broadcastMessage(id => contentFor(entry, id), withButtons ? id => alertButtons(entry, id) : null);
+  entry.notifiedAt = Date.now();
+  alertChanged(entry);
+}
+
+/**
+ * Human-readable action result, e.g. "已封鎖 (本次)"
+ */
+function actionLabel(action, t = templatesFor(null)) {
+  return t.string(`actions.${action}`);
+}
+
+/**
+ * Status line for a decided alert (status.txt), e.g. "🚫 已封鎖 (本次) by Alice"
+ */
+function statusLine(t, icon, action, success, actor, reason = null) {
+  const result = success ? actionLabel(action, t) : t.string('failed') + (reason ? ` (${reason})` : '');
+  return t.render('status', { icon, result, actor });
+}
+
+/**
+ * Mine the action log and send new rule suggestions to Telegram for review
+ */
+async function proposeLearnedRules() {
+  const suggestions = await suggestRules(readActionLog(ACTION_LOG), rules, { minCount: CONFIG.suggestMinCount });
+  const fresh = suggestions.filter(s => !pendingSuggestions.has(s.id));
+  
+  for (const suggestion of fresh) {
+    const { rule } = suggestion;
+    const userName = CONFIG.telegramNames[suggestion.userId] || suggestion.userId;
+    const historyKey = rule.action.startsWith('allow') ? 'suggestion.allowHistory' : 'suggestion.blockHistory';
+    const content = renderLocales(t => t.string('suggestion.message', {
+      process: rule.match.path || rule.match.process,
+      target: `${rule.match.host || rule.match.cidr}${rule.match.port ? ' ' + rule.match.port : ''}${rule.match.protocol ? '/' + rule.match.protocol : ''}`,
+      history: t.string(historyKey, { user: userName, count: suggestion.count }),
+      rule: rule.id,
+      action: rule.action
+    }));
+    
+    const pending = { id: suggestion.id, suggestion, messageIds: {}, content, approvals: null };
+    pendingSuggestions.set(suggestion.id, pending);
+    pending.messageIds = await broadcastMessage(id => contentFor(pending, id), id => suggestionButtons(suggestion.id, templatesFor(id)));
+  }
+  
+  log(`📏 ${suggestions.length} rule suggestion(s), ${fresh.length} sent for review`);
+  return suggestions;
+}
+
+/**
+ * Make Permanent / Dismiss buttons for a rule suggestion
+ */
+function suggestionButtons(suggestionId, t = templatesFor(null)) {
+  return [[
+    { text: t.string('suggestion.accept'), callback_data: `lulu:rule-accept:${suggestionId}` },
+    { text: t.string('suggestion.reject'), callback_data: `lulu:rule-reject:${suggestionId}` }
+  ]];
+}
+
+/**
+ * Record a button press refused by role checks: log it and note it
+ * in the Telegram messages (keeping the buttons for someone allowed)
+ */
+async function refuseCallback(action, userId, check, target) {
+  const actorName = CONFIG.telegramNames[userId] || userId || 'unknown';
+  log(`⛔ Refused ${action} by ${actorName}: ${check.reason}`);
+  logAction(target.entry || null, action, userId || null, false, {
+    refused: true,
+    role: check.role,
+    reason: check.reason,
+    ...(target.suggestionId && { alert: `suggestion ${target.suggestionId}` })
+  });
+  
+  const note = t => t.string('refused.note', { actor: actorName, role: check.role || t.string('refused.noRole'), action });
+  if (target.entry) {
+    await editEntryStatus(target.entry, note, true);
+  } else if (target.suggestion) {
+    await editSuggestionStatus(target.suggestion, note, true);
+  }
+}
+
+/**
+ * Append a status line to every Telegram message sent for a rule suggestion
+ * statusText is a function of the user's TemplateSet.
+ */
+async function editSuggestionStatus(pending, statusText, withButtons = false) {
+  const results = await Promise.all(Object.entries(pending.messageIds).map(([id, msgId]) => {
+    const t = templatesFor(id);
+    return editSingleMessage(id, msgId, `${contentFor(pending, id)}\n\n${statusText(t)}`, withButtons ? suggestionButtons(pending.id, t) : null);
+  }));
+  return results.some(r => r);
+}
+
+/**
+ * Accept or reject a pending rule suggestion from a Telegram button
+ * approvedBy lists every admin who approved a permanent allow rule.
+ */
+async function reviewSuggestion(suggestionId, accept, userId, approvedBy = null) {
+  const pending = pendingSuggestions.get(suggestionId);
+  if (!pending) return { ok: false, error: 'Unknown or already reviewed suggestion' };
+  
+  const { rule } = pending.suggestion;
+  let error = null;
+  if (accept) {
+    try {
+      addRule(path.resolve(PROJECT_DIR, CONFIG.rulesPath), rule);
+      loadLocalRules();
+      log(`📏 Rule ${rule.id} activated by ${CONFIG.telegramNames[userId] || userId}`);
+    } catch (e) {
+      error = e.message;
+      log('❌ Failed to add rule:', e.message);
+    }
+  }
+  pendingSuggestions.delete(suggestionId);
+  logAction(null, accept ? 'rule-accept' : 'rule-reject', userId, !error, {
+    alert: `rule ${rule.id}`,
+    suggestion: pending.suggestion,
+    ...(approvedBy && { approvedBy })
+  });
+  
+  const actorName = actorNames(approvedBy || userId);
+  await editSuggestionStatus(pending, t => (error ? t.string('suggestion.failed', { error })
+    : accept ? t.string('suggestion.accepted', { rule: rule.id, actor: actorName }) : t.string('suggestion.rejected', { actor: actorName })));
+  
+  return error ? { ok: false, error } : { ok: true, ruleId: rule.id, accepted: accept };
+}
+
+/**
+ * Wait for the sub-agent's analysis
+ * Resolves { verdict } when it is posted to /analysis/:alertId, or null on timeout.
+ */
+function waitForAnalysis(alertId, timeoutMs = 30000) {
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      clearTimeout(timer);
+      analysisWaiters.delete(alertId);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      debug('Analysis timeout');
+      finish(null);
+    }, timeoutMs);
+    analysisWaiters.set(alertId, finish);
+  });
+}
+
+/**
+ * Load (or create on first start) the command server token
+ */
+function initCommandToken() {
+  const tokenPath = path.resolve(PROJECT_DIR, CONFIG.authTokenPath);
+  const { token, created } = loadOrCreateToken(tokenPath);
+  commandToken = token;
+  if (created) log('🔑 Created command server token:', tokenPath);
+}
+
+/**
+ * True if the request carries the install token
+ */
+function isAuthorized(req) {
+  return tokensMatch(requestToken(req), commandToken);
+}
+
+/**
+ * Spawn an OpenClaw sub-agent to analyze an alert with one model
+ * Resolves once the gateway accepted the task; the sub-agent then
+ * posts a JSON verdict to /analysis/<alertId>
+ */
+async function spawnAnalysis(message, step) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify({
+      tool: 'sessions_spawn',
+      args: {
+        task: message,
+        model: step.model,
+        runTimeoutSeconds: step.runTimeoutSeconds,
+        cleanup: 'delete'
+      }
+    });
+
+    const options = {
+      hostname: CONFIG.gatewayHost,
+      port: CONFIG.gatewayPort,
+      path: '/tools/invoke',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...(gatewayToken && { 'Authorization': `Bearer ${gatewayToken}` })
+      },
+      timeout: 10000
+    };
+
+    debug('Sending to gateway:', options.hostname + ':' + options.port + options.path, `(${step.model})`);
+
+    const req = http.request(options, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            const result = JSON.parse(body);
+            if (result.ok) {
+              debug('Sub-agent spawned, waiting for analysis...');
+              resolve(true);
+            } else {
+              debug('Gateway returned error:', result);
+              reject(new Error(result.error?.message || 'Unknown error'));
+            }
+          } catch (e) {
+            debug('Failed to parse response:', body);
+            resolve(true);
+          }
+        } else {
+          debug('Gateway response:', res.statusCode, body);
+          reject(new Error(`Gateway returned ${res.statusCode}`));
+        }
+      });
+    });
+
+    req.on('error', (e) => {
+      debug('Gateway request error:', e.message);
+      reject(e);
+    });
+
+    req.on('timeout', () => {
+      req.destroy();
+      reject(Object.assign(new Error('Request timeout'), { code: 'ETIMEDOUT' }));
+    });
+
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Ask the models of the alert's chain in turn until one gives a verdict
+ * that needs no escalation. A later model's verdict replaces an earlier
+ * one; if it posts nothing, the earlier verdict stands.
+ * Returns { analysis, model, error } (analysis null if no model answered)
+ */
+async function requestAnalysis(entry) {
+  const chain = modelChain(modelRouting, entry.alert);
+  const message = formatAlertMessage(entry, entry.id);
+  let best = { analysis: null, model: null, error: null };
+  
+  for (const [i, step] of chain.entries()) {
+    // Listen before spawning, so a fast verdict is not refused
+    const waiting = waitForAnalysis(entry.id, step.runTimeoutSeconds * 1000);
+    try {
+      await spawnAnalysis(message, step);
+    } catch (e) {
+      analysisWaiters.get(entry.id)?.(null);
+      await waiting;
+      log(`⚠️ Failed to send to Gateway (${step.model}):`, e.message);
+      if (!e.code) {
+        // Gateway refused this model; the next one may work
+        best.error = best.error || `gateway error: ${e.message}`;
+        continue;
+      }
+      writeFallbackFile(message);
+      // Same gateway for every model: no point trying the next one
+      return { ...best, error: best.error || `gateway unreachable: ${e.message}` };
+    }
+    
+    const analysis = await waiting;
+    if (entry.status !== STATUS.PENDING) return best;
+    if (!analysis) {
+      log(`⚠️ No analysis from ${step.model} within ${step.runTimeoutSeconds}s`);
+      best.error = best.error || `no verdict from ${step.model}`;
+      continue;
+    }
+    best = { analysis, model: step.model, error: null };
+    
+    const reason = i < chain.length - 1 ? escalationReason(analysis.verdict, modelRouting) : null;
+    if (!reason) break;
+    log(`🔼 Escalating ${entry.id} from ${step.model} to ${chain[i + 1].model}: ${reason}`);
+  }
+  return best;
+}
+
+/**
+ * Keep the prompt on disk when the gateway cannot be reached
+ */
+function writeFallbackFile(message) {
+  const fallbackPath = path.join(process.env.HOME, '.openclaw', 'lulu-alert.txt');
+  try {
+    fs.mkdirSync(path.dirname(fallbackPath), { recursive: true });
+    fs.writeFileSync(fallbackPath, message);
+    log('📝 Wrote alert to fallback file:', fallbackPath);
+  } catch (writeErr) {
+    log('❌ Failed to write fallback:', writeErr.message);
+  }
+}
+
+/**
+ * Telegram message without AI analysis (fallback.txt): alert fields, the
+ * matching 'ask' rule and the enrichment summary, with the usual buttons
+ */
+async function sendFallback(entry, reason) {
+  const rule = entry.askRule && `${entry.askRule.id}${entry.askRule.description ? ` (${entry.askRule.description})` : ''}`;
+  await sendToAllUsers(t => t.render('fallback', {
+    ...alertVariables(entry.alert, entry.id),
+    reason,
+    rule,
+    enrichment: enrichmentLines(entry.enrichment).join('\n')
+  }), entry);
+}
+
+/**
+ * Edit a single message via the user's notifier
+ * Pass buttons to keep the inline keyboard.
+ */
+async function editSingleMessage(targetId, messageId, newMessage, buttons = null) {
+  try {
+    await notifierFor(targetId).edit(targetId, messageId, newMessage, buttons);
+    debug('Edit message success:', targetId, messageId);
+    return true;
+  } catch (e) {
+    debug('Edit message failed:', targetId, messageId, e.message?.substring(0, 100));
+    return false;
+  }
+}
+
+/**
+ * Append a status line to every Telegram message sent for an alert
+ * statusText may be a function of the user's TemplateSet (per-user locale).
+ * Pass withButtons if the alert can still be decided.
+ */
+async function editEntryStatus(entry, statusText, withButtons = false) {
+  const edits = Object.entries(entry.messageIds).map(([id, msgId]) => {
+    const content = contentFor(entry, id);
+    const status = typeof statusText === 'function' ? statusText(templatesFor(id)) : statusText;
+    return editSingleMessage(id, msgId, content ? `${content}\n\n${status}` : status, withButtons ? alertButtons(entry, id) : null);
+  });
+  const results = await Promise.all(edits);
+  return results.some(r => r);
+}
+
+/**
+ * Display name(s) for one Telegram user ID or a list of them
+ */
+function actorNames(actorIds) {
+  const ids = [].concat(actorIds || []);
+  if (!ids.length) return 'unknown';
+  return ids.map(id => CONFIG.telegramNames[id] || id).join(' + ');
+}
+
+/**
+ * Add one approval vote for a permanent allow; votes older than
+ * quorumWindowMs are discarded and counting starts over
+ */
+function recordApproval(entry, voterId) {
+  const now = Date.now();
+  if (!entry.approvals || now - entry.approvals.startedAt > CONFIG.quorumWindowMs) {
+    entry.approvals = { voters: [], startedAt: now };
+  }
+  const voters = entry.approvals.voters;
+  if (voters.includes(voterId)) return { duplicate: true, voters };
+  voters.push(voterId);
+  checkpointPending();
+  log(`🗳️ Permanent allow for ${entry.id}: ${voters.length}/${CONFIG.allowQuorum} approvals`);
+  return { duplicate: false, voters };
+}
+
+/**
+ * Show pending approval state, e.g. "1/2 approvals by Alice"
+ * For a learned allow rule, pass editSuggestionStatus and 'approval.rulePending'.
+ */
+async function editApprovalStatus(entry, editStatus = editEntryStatus, key = 'approval.pending') {
+  const { voters } = entry.approvals;
+  const minutes = Math.round(CONFIG.quorumWindowMs / 60000);
+  const statusText = t => t.string(key, {
+    count: voters.length,
+    required: CONFIG.allowQuorum,
+    voters: actorNames(voters),
+    minutes
+  });
+  return editStatus(entry, statusText, true);
+}
+
+/**
+ * Edit Telegram messages for all users to show result and who acted
+ * actorId may be a list when several users approved the action.
+ */
+async function editTelegramMessages(entry, action, success, actorId, reason = null) {
+  const isAllow = action.startsWith('allow');
+  const statusEmoji = success ? (isAllow ? '✅' : '🚫') : '❌';
+  const actorName = actorNames(actorId);
+  
+  const editPromises = [];
+  // Includes escalation recipients, not just CONFIG.telegramIds
+  for (const [id, msgId] of Object.entries(entry.messageIds)) {
+    const t = templatesFor(id);
+    const status = statusLine(t, statusEmoji, action, success, actorName, reason);
+    const content = contentFor(entry, id);
+    const newMessage = content ? `${content}\n\n${status}` : status;
+    
+    // A failed action leaves the alert open, so keep the buttons
+    editPromises.push(editSingleMessage(id, msgId, newMessage, success ? null : alertButtons(entry, id)));
+  }
+  
+  const results = await Promise.all(editPromises);
+  return results.some(r => r);
+}
+
+/**
+ * Decide one alert: local rule first, otherwise AI analysis + Telegram
+ */
+async function analyzeAlert(entry) {
+  if (CONFIG.enrich && !entry.enrichment) {
+    entry.enrichment = await enrichAlert(entry.alert, { asnDatabase, debug });
+    alertChanged(entry);
+  }
+  if (await applyThreatIntel(entry)) return;
+  if (await applyLocalRule(entry)) return;
+  
+  const { analysis, model, error } = await requestAnalysis(entry);
+  if (entry.status !== STATUS.PENDING) {
+    debug('Alert', entry.id, 'was', entry.status, 'before analysis finished, not sending');
+    return;
+  }
+  
+  if (!analysis) {
+    log(`⚪ No AI verdict for ${entry.id} (${error}), sending without analysis`);
+    await sendFallback(entry, error);
+    return;
+  }
+  entry.model = model;
+  entry.verdict = analysis.verdict;
+  if (await applyAutoExecute(entry)) {
+    log('✅ Analysis received, alert auto-executed');
+  } else {
+    await sendToAllUsers(t => formatVerdict(analysis.verdict, entry.alert, t, model), entry);
+    log(`✅ Analysis from ${model} sent to all users`);
+  }
+}
+
+/**
+ * Start queued analyses up to the concurrency limit
+ */
+function pumpAnalysisQueue() {
+  while (activeAnalyses < CONFIG.maxConcurrentAnalyses && analysisQueue.length) {
+    const entry = analysisQueue.shift();
+    if (entry.status !== STATUS.PENDING) continue;
+    
+    activeAnalyses++;
+    analyzeAlert(entry)
+      .catch(e => log('❌ Analysis failed for', entry.id, ':', e.message))
+      .finally(() => {
+        activeAnalyses--;
+        pumpAnalysisQueue();
+      });
+  }
+}
+
+/**
+ * Send due escalation reminders for an unanswered alert
+ */
+async function sendReminders(entry, elapsed) {
+  // Wait for the alert itself, which replaces entry.messageIds
+  if (!entry.notifiedAt) return;
+  while (entry.remindersSent < CONFIG.escalations.length) {
+    const step = CONFIG.escalations[entry.remindersSent];
+    if (elapsed < step.afterMs) return;
+    entry.remindersSent++;
+    
+    const recipients = step.telegramIds.length ? step.telegramIds : CONFIG.telegramIds;
+    const minutesLeft = Math.max(1, Math.ceil((CONFIG.alertTimeoutMs - elapsed) / 60000));
+    const text = (id) => {
+      const t = templatesFor(id);
+      const deadline = CONFIG.alertTimeoutMs
+        ? t.string('reminder.deadline', { minutes: minutesLeft, action: entry.timeoutAction || CONFIG.timeoutAction })
+        : t.string('reminder.noDeadline');
+      return t.string('reminder.message', { deadline, alert: contentFor(entry, id) || describeAlert(entry.alert) });
+    };
+    log(`⏰ Reminder ${entry.remindersSent}/${CONFIG.escalations.length} for ${entry.id}`);
+    
+    const messageIds = await broadcastMessage(text, id => alertButtons(entry, id), recipients);
+    // The earlier message loses its buttons; status edits go to the reminder from now on
+    await Promise.all(Object.keys(messageIds)
+      .filter(id => entry.messageIds[id] !== undefined)
+      .map((id) => {
+        const content = contentFor(entry, id);
+        const note = templatesFor(id).string('reminder.superseded');
+        return editSingleMessage(id, entry.messageIds[id], content ? `${content}\n\n${note}` : note, null);
+      }));
+    Object.assign(entry.messageIds, messageIds);
+    alertChanged(entry);
+  }
+}
+
+/**
+ * Take the timeout action on an alert nobody answered
+ */
+async function applyTimeout(entry) {
+  const action = entry.timeoutAction || CONFIG.timeoutAction;
+  entry.timedOut = true;
+  log(`⏰ Alert ${entry.id} unanswered for ${Math.round(CONFIG.alertTimeoutMs / 1000)}s, taking ${action}`);
+  
+  const result = await executeAction(action, entry);
+  recordOutcome(entry, action, 'timeout', result);
+  logAction(entry, action, null, result.success, { timeout: true, reason: result.reason });
+  
+  const statusText = t => (result.success
+    ? t.string('timeout.executed', { result: actionLabel(action, t) })
+    : t.string('timeout.failed', { action, reason: result.reason }));
+  // Keep the buttons if LuLu did not take the click
+  await editEntryStatus(entry, statusText, !result.success);
+}
+
+/**
+ * Reminders and deadlines for alerts still waiting for a decision
+ */
+function checkTimeouts() {
+  const now = Date.now();
+  for (const entry of registry.pending().concat(registry.failed())) {
+    if (entry.timedOut || actingIds.has(entry.id)) continue;
+    const elapsed = now - entry.createdAt;
+    
+    if (entry.approvals && now - entry.approvals.startedAt > CONFIG.quorumWindowMs) {
+      log(`⌛ Always Allow approval for ${entry.id} expired`);
+      entry.approvals = null;
+      checkpointPending();
+      editEntryStatus(entry, t => t.string('approval.expired'), true);
+    }
+    
+    if (CONFIG.alertTimeoutMs && elapsed >= CONFIG.alertTimeoutMs) {
+      applyTimeout(entry).catch(e => log('❌ Timeout action error:', e.message));
+    } else {
+      sendReminders(entry, elapsed).catch(e => log('❌ Reminder error:', e.message));
+    }
+  }
+}
+
+/**
+ * Delay before the next poll: fast while alerts are open or being clicked
+ */
+function nextPollInterval() {
+  return openWindowCount || actingIds.size ? CONFIG.pollInterval : CONFIG.idlePollInterval;
+}
+
+/**
+ * Main poll function
+ * Only one poll runs at a time: the next one is scheduled after this one
+ * finishes. Analyses, notifications and clicks run outside of it, so a
+ * slow osascript or CLI call never holds up button presses.
+ */
+async function poll() {
+  const startedAt = Date.now();
+  let failed = false;
+  try {
+    // While alerts are open, listing them answers "is there an alert?" too
+    const windows = openWindowCount || (await checkForAlert()) ? await extractAllAlerts() : [];
+    openWindowCount = windows.length;
+    const openIds = [];
+    
+    for (const alertData of windows) {
+      const id = AlertRegistry.alertId(alertData.fingerprint);
+      openIds.push(id);
+      
+      const known = registry.get(id);
+      if (known && known.status !== STATUS.DISMISSED) continue;
+      
+      const entry = registry.add(alertData);
+      log(`🚨 New LuLu alert detected! (${entry.id})`);
+      log('   Texts:', alertData.texts.slice(0, 3).join(', ') + '...');
+      alertChanged(entry);
+      analysisQueue.push(entry);
+    }
+    
+    // Pending alerts whose window is gone were handled directly in LuLu
+    // (alerts being clicked right now are verified by executeAction instead)
+    for (const entry of registry.dismissPending([...openIds, ...actingIds])) {
+      debug('Alert', entry.id, 'closed outside Telegram');
+      alertChanged(entry);
+      editEntryStatus(entry, t => t.string('closedInLulu'));
+    }
+    
+    checkTimeouts();
+    pumpAnalysisQueue();
+  } catch (e) {
+    failed = true;
+    debug('Poll error:', e.message);
+  }
+  
+  const elapsed = Date.now() - startedAt;
+  pollStats.record(elapsed, { error: failed });
+  if (elapsed > CONFIG.slowPollMs) {
+    log(`⚠️ Slow poll: ${elapsed}ms (${openWindowCount} alert window(s))`);
+  }
+  
+  setTimeout(poll, nextPollInterval());
+}
+
+/**
+ * Handle an Allow/Block or rule review button press
+ * Shared by POST /callback and the built-in Telegram bot.
+ * Returns { status, body } with an HTTP status code and JSON body.
+ */
+async function handleCallback({ action, userId, suggestionId, alertId }) {
+  if (action === 'rule-accept' || action === 'rule-reject') {
+    const check = authorize(userId, action, CONFIG);
+    if (!check.allowed) {
+      await refuseCallback(action, userId, check, { suggestionId, suggestion: pendingSuggestions.get(suggestionId) });
+      return { status: 403, body: { error: 'Not allowed', reason: check.reason, action, userId } };
+    }
+    // Accepting a permanent allow rule needs the same approvals as Always Allow
+    const pending = pendingSuggestions.get(suggestionId);
+    let approvedBy = null;
+    if (action === 'rule-accept' && pending?.suggestion.rule.action === 'allow' && CONFIG.allowQuorum > 1) {
+      const approval = recordApproval(pending, userId);
+      if (approval.duplicate) {
+        return { status: 409, body: { error: 'Already approved by this user', suggestionId, approvals: approval.voters.length, required: CONFIG.allowQuorum } };
+      }
+      if (approval.voters.length < CONFIG.allowQuorum) {
+        logAction(null, action, userId, false, { alert: `rule ${pending.suggestion.rule.id}`, approvalPending: true, approvals: approval.voters.length, required: CONFIG.allowQuorum });
+        const messageEdited = await editApprovalStatus(pending, editSuggestionStatus, 'approval.rulePending');
+        return { status: 202, body: { pending: true, action, userId, suggestionId, approvals: approval.voters.length, required: CONFIG.allowQuorum, messageEdited } };
+      }
+      approvedBy = approval.voters;
+    }
+    const result = await reviewSuggestion(suggestionId, action === 'rule-accept', userId, approvedBy);
+    return { status: result.ok ? 200 : 400, body: { ...result, action, userId } };
+  } else if (ACTIONS.includes(action)) {
+    // Every button carries its alert ID; one without is from an old message
+    if (!alertId) {
+      return { status: 400, body: { error: 'alertId is required', action } };
+    }
+    const entry = registry.get(alertId);
+    if (!entry) {
+      return { status: 404, body: { error: 'Unknown alert', alertId } };
+    }
+    if (!registry.isActionable(entry)) {
+      debug('Stale callback for', entry.id, '(' + entry.status + ')');
+      return { status: 409, body: { error: `Alert already ${entry.status}`, alertId: entry.id, resolution: entry.resolution } };
+    }
+    if (actingIds.has(entry.id)) {
+      return { status: 409, body: { error: 'Action already in progress', alertId: entry.id } };
+    }
+    
+    const check = authorize(userId, action, CONFIG);
+    if (!check.allowed) {
+      await refuseCallback(action, userId, check, { entry });
+      return { status: 403, body: { error: 'Not allowed', reason: check.reason, action, userId, alertId: entry.id } };
+    }
+    
+    // Permanent allow may need more than one approval
+    let approvedBy = null;
+    if (action === 'allow' && CONFIG.allowQuorum > 1) {
+      const approval = recordApproval(entry, userId);
+      if (approval.duplicate) {
+        return { status: 409, body: { error: 'Already approved by this user', alertId: entry.id, approvals: approval.voters.length, required: CONFIG.allowQuorum } };
+      }
+      if (approval.voters.length < CONFIG.allowQuorum) {
+        logAction(entry, action, userId, false, { approvalPending: true, approvals: approval.voters.length, required: CONFIG.allowQuorum });
+        const messageEdited = await editApprovalStatus(entry);
+        return { status: 202, body: { pending: true, action, userId, alertId: entry.id, approvals: approval.voters.length, required: CONFIG.allowQuorum, messageEdited } };
+      }
+      approvedBy = approval.voters;
+      entry.approvals = null;
+    }
+    
+    const { success, reason } = await executeAction(action, entry);
+    recordOutcome(entry, action, userId || null, { success, reason });
+    
+    // Log the action
+    logAction(entry, action, userId, success, { reason, ...(approvedBy && { approvedBy }) });
+    
+    // Edit all users' Telegram messages to show who acted
+    let messageEdited = false;
+    if (Object.keys(entry.messageIds).length > 0) {
+      messageEdited = await editTelegramMessages(entry, action, success, approvedBy || userId, reason);
+    }
+    
+    return { status: success ? 200 : 500, body: { success, action, userId, alertId: entry.id, reason, messageEdited } };
+  }
+  return { status: 400, body: { error: 'Invalid action' } };
+}
+
+/**
+ * Short toast text for a Telegram callback answer, in the user's locale
+ */
+function callbackAnswer({ status, body }, t) {
+  if (status === 202) return t.string('answer.approvals', { count: body.approvals, required: body.required });
+  if (status !== 200) return t.string('answer.failed', { reason: body.reason || body.error || t.string('failed') });
+  if (body.action === 'rule-accept') return t.string('answer.ruleAccepted', { rule: body.ruleId });
+  if (body.action === 'rule-reject') return t.string('answer.ruleRejected');
+  return `${body.action.startsWith('allow') ? '✅' : '🚫'} ${actionLabel(body.action, t)}`;
+}
+
+/**
+ * Built-in Telegram bot: long-poll button presses and route them like /callback
+ */
+function startTelegramBot() {
+  if (!CONFIG.telegramBot) return;
+  const bot = createNotifier({ type: 'telegram', ...CONFIG.telegramBot });
+  const poller = new TelegramCallbackPoller({
+    bot,
+    timeoutSec: CONFIG.telegramBot.pollTimeoutSec,
+    log,
+    debug,
+    templatesFor,
+    onCallback: async (callback) => callbackAnswer(await handleCallback(callback), templatesFor(callback.userId))
+  });
+  poller.start();
+  log('🤖 Telegram bot polling for button presses');
+}
+
+/**
+ * Create simple HTTP server for receiving commands
+ */
+function startCommandServer() {
+  const server = http.createServer((req, res) => {
+    const rejected = checkOrigin(req, COMMAND_PORT);
+    if (rejected) {
+      debug('Rejected request:', req.method, req.url, '-', rejected.error);
+      res.writeHead(rejected.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: rejected.error }));
+      return;
+    }
+    // /analysis takes the per-alert token instead and checks it itself
+    const perAlertAuth = req.url.startsWith('/analysis/');
+    if (req.method !== 'GET' && !perAlertAuth && !isAuthorized(req)) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing or invalid token' }));
+      return;
+    }
+    
+    if (req.method === 'POST' && req.url === '/action') {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', async () => {
+        try {
+          const { action } = JSON.parse(body);
+          if (ACTIONS.includes(action)) {
+            const entry = registry.latestPending();
+            const { success, reason } = await executeAction(action, entry);
+            if (entry) {
+              recordOutcome(entry, action, 'local', { success, reason });
+            }
+            logAction(entry, action, null, success, { local: true, reason });
+            
+            // Show the result in Telegram, as for a button press
+            let messageEdited = false;
+            if (entry && Object.keys(entry.messageIds).length > 0) {
+              messageEdited = await editTelegramMessages(entry, action, success, 'local', reason);
+            }
+            res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success, action, reason, messageEdited }));
+          } else {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Invalid action. Use "allow", "block", "allow-once", or "block-once"' }));
+          }
         } catch (e) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: e.message }));
         }
       });
     } else if (req.method === 'GET' && req.url === '/status') {
+      // Reports what the last poll saw instead of running osascript again
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ 
         running: true, 
-        hasAlert: checkForAlert(),
-        lastAlertHash,
-        lastMessageIds,
+        source: alertSource.type,
+        hasAlert: openWindowCount > 0,
+        queued: analysisQueue.length,
+        activeAnalyses,
+        poll: { intervalMs: nextPollInterval(), openWindows: openWindowCount, ...pollStats.toJSON() },
+        alerts: registry.list(),
         telegramIds: CONFIG.telegramIds,
         telegramNames: CONFIG.telegramNames
       }));
+    } else if (req.method === 'GET' && (req.url === '/alerts' || req.url.startsWith('/alerts?'))) {
+      // Alert history: ?process=&host=&since=&until=&outcome=&limit=&offset=
+      if (!history) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Alert history is disabled' }));
+        return;
+      }
+      try {
+        const params = new URL(req.url, `http://127.0.0.1:${COMMAND_PORT}`).searchParams;
+        const result = history.query(Object.fromEntries(params));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    } else if (req.method === 'GET' && req.url.startsWith('/alerts/')) {
+      const alertId = req.url.slice('/alerts/'.length);
+      if (!AlertRegistry.isAlertId(alertId)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid alert ID' }));
+        return;
+      }
+      const record = history?.get(alertId);
+      if (!record) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown alert', alertId }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(record));
     } else if (req.method === 'GET' && req.url === '/logs') {
       try {
-        const logFile = path.join(LOGS_DIR, 'actions.jsonl');
-        const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').slice(-50);
+        const lines = fs.readFileSync(ACTION_LOG, 'utf8').trim().split('\n').slice(-50);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(lines.map(l => JSON.parse(l))));
       } catch (e) {
@@ -609,13 +1658,21 @@ function startCommandServer() {
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
         try {
-          const { targetId, messageId, content } = JSON.parse(body);
-          if (targetId && messageId) {
-            lastMessageIds[targetId] = messageId;
-            if (content) lastMessageContent = content;
-            debug('Registered message:', targetId, '->', messageId);
+          const { alertId, targetId, messageId, content } = JSON.parse(body);
+          const entry = alertId ? registry.get(alertId) : null;
+          if (!alertId) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'alertId is required' }));
+          } else if (!entry) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Unknown alert' }));
+          } else if (targetId && messageId) {
+            entry.messageIds[targetId] = messageId;
+            if (content) entry.content = content;
+            alertChanged(entry);
+            debug('Registered message:', entry.id, targetId, '->', messageId);
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ ok: true }));
+            res.end(JSON.stringify({ ok: true, alertId: entry.id }));
           } else {
             res.writeHead(400, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'targetId and messageId required' }));
@@ -625,36 +1682,80 @@ function startCommandServer() {
           res.end(JSON.stringify({ error: e.message }));
         }
       });
+    } else if (req.method === 'POST' && req.url.startsWith('/analysis/')) {
+      // Sub-agent posts its JSON verdict for one alert
+      const alertId = req.url.slice('/analysis/'.length);
+      if (!AlertRegistry.isAlertId(alertId)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid alert ID' }));
+        return;
+      }
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        const entry = registry.get(alertId);
+        if (!entry) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown alert', alertId }));
+          return;
+        }
+        if (!tokensMatch(requestToken(req), entry.analysisToken)) {
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid or missing analysis token' }));
+          return;
+        }
+        const finish = analysisWaiters.get(alertId);
+        if (!finish) {
+          res.writeHead(409, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Alert is not waiting for analysis', alertId, status: entry.status }));
+          return;
+        }
+        
+        let data;
+        try {
+          data = JSON.parse(body);
+        } catch (e) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid JSON', details: [e.message] }));
+          return;
+        }
+        const { valid, errors, verdict } = validateVerdict(data);
+        if (!valid) {
+          debug('Rejected verdict for', alertId, errors);
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Invalid verdict', details: errors }));
+          return;
+        }
+        
+        debug('Verdict for', alertId, verdict);
+        finish({ verdict });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, alertId }));
+      });
     } else if (req.method === 'POST' && req.url === '/callback') {
       // Handle Telegram button callback
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', async () => {
         try {
-          const { action, userId } = JSON.parse(body);
-          const validActions = ['allow', 'block', 'allow-once', 'block-once'];
-          if (validActions.includes(action)) {
-            const success = executeAction(action);
-            
-            // Log the action
-            logAction(null, action, userId, success);
-            
-            // Edit all users' Telegram messages to show who acted
-            if (Object.keys(lastMessageIds).length > 0) {
-              await editTelegramMessages(action, success, userId);
-            }
-            
-            res.writeHead(success ? 200 : 500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success, action, userId, messageEdited: true }));
-          } else {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Invalid action' }));
-          }
+          const { action, userId, suggestionId, alertId } = JSON.parse(body);
+          const result = await handleCallback({ action, userId, suggestionId, alertId });
+          res.writeHead(result.status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result.body));
         } catch (e) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: e.message }));
         }
       });
+    } else if (req.method === 'POST' && req.url === '/suggest-rules') {
+      // Mine past decisions and send rule suggestions for review
+      proposeLearnedRules().then((suggestions) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(suggestions));
+      }).catch((e) => {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: e.message }));
+      });
     } else {
       res.writeHead(404);
       res.end('Not found');
@@ -663,64 +1764,169 @@ function startCommandServer() {
   
   server.on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
-      log('⚠️ Port 4441 already in use, command server disabled');
+      log(`⚠️ Port ${COMMAND_PORT} already in use, command server disabled`);
       log('   (Another instance may be running)');
     } else {
       log('❌ Command server error:', err.message);
     }
   });
   
-  server.listen(4441, '127.0.0.1', () => {
-    log('📡 Command server listening on http://127.0.0.1:4441');
+  server.listen(COMMAND_PORT, '127.0.0.1', () => {
+    log(`📡 Command server listening on http://127.0.0.1:${COMMAND_PORT}`);
   });
 }
 
+/**
+ * Wait until the alert window is gone
+ */
+async function waitForWindowClosed(target, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (await alertSource.isOpen(target)) {
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  return true;
+}
+
 /**
  * Execute action on LuLu alert
  * Supports: allow, block, allow-once, block-once
+ * With an alert entry, only the window showing that alert is clicked;
+ * without one, the first alert window.
+ * Success means the window actually closed; retries use the fallback UI path.
+ * Returns { success, reason, attempts }
  */
-function executeAction(action) {
-  log(`Executing: ${action}`);
-  
-  const scriptMap = {
-    'allow': 'click-allow.scpt',
-    'block': 'click-block.scpt',
-    'allow-once': 'click-allow-once.scpt',
-    'block-once': 'click-block-once.scpt'
-  };
+async function executeAction(action, entry = null) {
+  log(`Executing: ${action}` + (entry ? ` on ${entry.id}` : ''));
   
-  const scriptName = scriptMap[action];
-  if (!scriptName) {
-    log(`❌ Unknown action: ${action}`);
-    return false;
+  // Taken before the first await, so a second tap sees it in handleCallback
+  if (entry) actingIds.add(entry.id);
+  try {
+    const target = entry ? { raw: entry.raw } : (await alertSource.list())[0];
+    if (!target || !(await alertSource.isOpen(target))) {
+      log(`❌ Cannot ${action}: alert window is not open`);
+      return { success: false, reason: 'alert window not open', attempts: 0 };
+    }
+    return await clickAndVerify(action, target);
+  } finally {
+    if (entry) actingIds.delete(entry.id);
   }
-  
-  const result = runScript(scriptName);
-  
-  if (result !== null) {
-    log(`✅ Clicked ${action}`);
-    lastAlertHash = null; // Reset after action
-    return true;
-  } else {
-    log(`❌ Failed to click ${action}`);
-    return false;
+}
+
+/**
+ * Click the button, retrying with the fallback UI path until the window closes
+ */
+async function clickAndVerify(action, target) {
+  let reason = null;
+  for (let attempt = 1; attempt <= CONFIG.clickAttempts; attempt++) {
+    const fallback = attempt > 1;
+    if (!(await alertSource.act(action, target, { fallback }))) {
+      reason = 'click failed';
+      debug(`Click attempt ${attempt} failed` + (fallback ? ' (fallback)' : ''));
+      continue;
+    }
+    if (await waitForWindowClosed(target, CONFIG.verifyTimeoutMs)) {
+      log(`✅ Clicked ${action}` + (fallback ? ' (fallback)' : ''));
+      return { success: true, reason: null, attempts: attempt };
+    }
+    reason = 'alert still open after click';
+    debug(`Click attempt ${attempt}: alert still open`);
   }
+  
+  log(`❌ Failed to ${action}: ${reason}`);
+  return { success: false, reason, attempts: CONFIG.clickAttempts };
 }
 
 // CLI action handler - allow running as: node index.js allow|block|allow-once|block-once
 const cliAction = process.argv[2];
-if (['allow', 'block', 'allow-once', 'block-once'].includes(cliAction)) {
-  const success = executeAction(cliAction);
-  process.exit(success ? 0 : 1);
-}
-
-// Main
-log('🔍 LuLu Monitor starting...');
-loadLocalConfig();
-loadGatewayConfig();
-startCommandServer();
-poll();
-log('👀 Watching for LuLu alerts...');
-if (CONFIG.autoExecute) {
-  log('⚡ Auto-execute mode ENABLED - high confidence alerts will be handled automatically');
+if (cliAction === 'suggest-rules') {
+  // Dry run: print what would be proposed, without sending anything
+  loadLocalConfig();
+  loadLocalRules();
+  suggestRules(readActionLog(ACTION_LOG), rules, { minCount: CONFIG.suggestMinCount }).then((suggestions) => {
+    console.log(JSON.stringify(suggestions, null, 2));
+    process.exit(0);
+  }).catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+} else if (ACTIONS.includes(cliAction)) {
+  loadLocalConfig();
+  initAlertSource();
+  executeAction(cliAction).then(({ success }) => process.exit(success ? 0 : 1));
+} else {
+  main();
+}
+
+/**
+ * Start the monitor
+ */
+function main() {
+  log('🔍 LuLu Monitor starting...');
+  loadLocalConfig();
+  loadGatewayConfig();
+  loadLocalRules();
+  watchLocalRules();
+  loadAsnDatabase();
+  try {
+    initHistory();
+  } catch (e) {
+    log('⚠️ Alert history disabled:', e.message);
+  }
+  try {
+    initAlertSource();
+  } catch (e) {
+    log('ERROR: Failed to start alert source:', e.message);
+    process.exit(1);
+  }
+  try {
+    initNotifiers();
+  } catch (e) {
+    log('ERROR: Invalid notifier config:', e.message);
+    process.exit(1);
+  }
+  try {
+    initThreatIntel();
+  } catch (e) {
+    log('ERROR: Invalid threatFeeds config:', e.message);
+    process.exit(1);
+  }
+  try {
+    initTemplates();
+  } catch (e) {
+    log('ERROR: Invalid templates:', e.message);
+    process.exit(1);
+  }
+  try {
+    initModelRouting();
+  } catch (e) {
+    log('ERROR: Invalid modelRouting config:', e.message);
+    process.exit(1);
+  }
+  try {
+    initAutoExecutePolicy();
+  } catch (e) {
+    log('ERROR: Invalid autoExecutePolicy config:', e.message);
+    process.exit(1);
+  }
+  try {
+    initCommandToken();
+  } catch (e) {
+    log('ERROR: Failed to load command server token:', e.message);
+    process.exit(1);
+  }
+  // Load feeds and restore open alerts before new alerts or button presses arrive
+  reloadThreatFeeds()
+    .then(recoverPending)
+    .catch(e => log('⚠️ Failed to recover pending alerts:', e.message))
+    .then(() => {
+      startCommandServer();
+      startTelegramBot();
+      poll();
+    });
+  log('👀 Watching for LuLu alerts...');
+  if (CONFIG.autoExecute) {
+    const { minConfidence, maxRisk, actions, requireSigned } = autoExecutePolicy;
+    log(`⚡ Auto-execute mode ENABLED - ${actions.join('/')} when confidence >= ${minConfidence}, allow risk <= ${maxRisk}` + (requireSigned ? ', signed binaries only' : ''));
+  }
 }
@@ -0,0 +1,157 @@
+/**
+ * Offline Threat Intel
+ * Block/allow lists loaded from local feed files and checked on every alert.
+ *
+ * Feed types (config.json "threatFeeds"):
+ *   hosts    - hosts-file lines ("0.0.0.0 bad.example"), matched like domains
+ *   domains  - one domain per line; also matches its subdomains
+ *   cidr     - one IP address or CIDR range per line (IPv4 or IPv6)
+ *   hashes   - one SHA-256 per line (binary hash, see enrich.js)
+ *
+ *   { "name": "urlhaus", "path": "feeds/urlhaus-hosts.txt", "type": "hosts", "list": "block" }
+ *
+ * Lines starting with "#" and text after " #" are comments.
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+const FEED_TYPES = ['hosts', 'domains', 'cidr', 'hashes'];
+const FEED_LISTS = ['block', 'allow'];
+
+/**
+ * Meaningful lines of a feed file, comments removed
+ */
+function feedLines(data) {
+  return data.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a feed file into a matcher: { size, match(indicators) -> indicator|null }
+ */
+function parseFeed(type, data) {
+  const lines = feedLines(data);
+
+  if (type === 'hosts' || type === 'domains') {
+    const domains = new Set();
+    for (const line of lines) {
+      // hosts files: "<ip> <name> [<name>...]"
+      const names = type === 'hosts' ? line.split(/\s+/).slice(1) : [line];
+      for (const name of names) {
+        const domain = name.toLowerCase().replace(/\.$/, '');
+        if (domain && domain !== 'localhost' && !net.isIP(domain)) domains.add(domain);
+      }
+    }
+    return {
+      size: domains.size,
+      match: ({ hosts }) => {
+        for (const host of hosts) {
+          // Check the host and every parent domain
+          const labels = host.split('.');
+          for (let i = 0; i < labels.length - 1; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (domains.has(candidate)) return candidate;
+          }
+        }
+        return null;
+      }
+    };
+  }
+
+  if (type === 'cidr') {
+    const blockList = new net.BlockList();
+    let size = 0;
+    for (const line of lines) {
+      const [address, prefix] = line.split('/');
+      const family = net.isIP(address);
+      if (!family) continue;
+      const maxBits = family === 4 ? 32 : 128;
+      const bits = prefix === undefined ? maxBits : Number(prefix);
+      if (!Number.isInteger(bits) || bits < 0 || bits > maxBits) continue;
+      blockList.addSubnet(address, bits, family === 4 ? 'ipv4' : 'ipv6');
+      size++;
+    }
+    return {
+      size,
+      match: ({ address, family }) =>
+        (address && blockList.check(address, family === 6 ? 'ipv6' : 'ipv4') ? address : null)
+    };
+  }
+
+  if (type === 'hashes') {
+    const hashes = new Set(lines.map(line => line.split(/\s+/)[0].toLowerCase()).filter(h => /^[a-f0-9]{64}$/.test(h)));
+    return {
+      size: hashes.size,
+      match: ({ sha256 }) => (sha256 && hashes.has(sha256.toLowerCase()) ? sha256 : null)
+    };
+  }
+
+  throw new Error(`Unknown feed type: ${type}`);
+}
+
+class ThreatIntel {
+  constructor(options = {}) {
+    this.feeds = (options.feeds || []).map((feed, i) => {
+      if (!feed?.path) throw new Error(`threatFeeds[${i}]: "path" is required`);
+      if (!FEED_TYPES.includes(feed.type)) throw new Error(`threatFeeds[${i}]: "type" must be one of ${FEED_TYPES.join(', ')}`);
+      const list = feed.list || 'block';
+      if (!FEED_LISTS.includes(list)) throw new Error(`threatFeeds[${i}]: "list" must be block or allow`);
+      return { name: feed.name || feed.path, path: feed.path, type: feed.type, list, matcher: null };
+    });
+    this.debug = options.debug || (() => {});
+    this.loadedAt = null;
+  }
+
+  /**
+   * (Re)read every feed file; a feed that fails keeps its previous contents
+   * Returns { name -> entry count } for the feeds that loaded
+   */
+  async load() {
+    const counts = {};
+    await Promise.all(this.feeds.map(async (feed) => {
+      try {
+        feed.matcher = parseFeed(feed.type, await fs.promises.readFile(feed.path, 'utf8'));
+        counts[feed.name] = feed.matcher.size;
+      } catch (e) {
+        this.debug(`Threat feed ${feed.name} not loaded:`, e.message);
+      }
+    }));
+    this.loadedAt = new Date().toISOString();
+    return counts;
+  }
+
+  /**
+   * Check an alert's IP, host names and binary hash against the feeds
+   * Block list hits win over allow list hits.
+   * @returns {{feed: string, list: string, type: string, indicator: string}|null}
+   */
+  check(alert, enrichment = null) {
+    const endpoint = alert?.endpoint || {};
+    const hosts = [endpoint.host, endpoint.requestedHost, alert?.reverseDNS]
+      .filter(Boolean)
+      .map(h => h.toLowerCase().replace(/\.$/, ''));
+    const indicators = {
+      address: endpoint.address,
+      family: endpoint.family,
+      hosts: [...new Set(hosts)],
+      sha256: enrichment?.binary?.sha256 || null
+    };
+
+    let allowHit = null;
+    for (const feed of this.feeds) {
+      const indicator = feed.matcher?.match(indicators);
+      if (!indicator) continue;
+      const hit = { feed: feed.name, list: feed.list, type: feed.type, indicator };
+      if (feed.list === 'block') return hit;
+      allowHit = allowHit || hit;
+    }
+    return allowHit;
+  }
+}
+
+module.exports = {
+  FEED_TYPES,
+  ThreatIntel
+};
@@ -0,0 +1,147 @@
+/**
+ * Rule Learning
+ * Mines past Telegram decisions in actions.jsonl and proposes local rules
+ * for alerts the same user keeps deciding the same way.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { matchRule } = require('./rules');
+
+/**
+ * Read action log entries, skipping lines that are not valid JSON
+ */
+function readActionLog(logFile) {
+  let data;
+  try {
+    data = fs.readFileSync(logFile, 'utf8');
+  } catch (e) {
+    return [];
+  }
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Skip corrupt line
+    }
+  }
+  return entries;
+}
+
+function decisionKind(action) {
+  if (action === 'allow' || action === 'allow-once') return 'allow';
+  if (action === 'block' || action === 'block-once') return 'block';
+  return null;
+}
+
+/**
+ * Key identifying "same process + same destination"
+ */
+function targetKey(fields) {
+  const endpoint = fields.endpoint || {};
+  const program = fields.path || fields.processName;
+  const destination = endpoint.requestedHost || endpoint.address;
+  if (!program || !destination) return null;
+  return [program, destination, endpoint.port ?? '', endpoint.protocol || ''].join('|');
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40);
+}
+
+/**
+ * Build the rule proposed for a group of identical decisions
+ * The host is the name the process asked for; the reverse DNS name is
+ * never used since whoever owns the IP can make it say anything.
+ */
+function buildRule(fields, action) {
+  const endpoint = fields.endpoint || {};
+  const match = {};
+  if (fields.path) {
+    match.path = fields.path;
+  } else {
+    match.process = fields.processName;
+  }
+  if (endpoint.requestedHost) {
+    match.host = endpoint.requestedHost;
+  } else {
+    match.cidr = `${endpoint.address}/${endpoint.family === 6 ? 128 : 32}`;
+  }
+  if (endpoint.port !== null && endpoint.port !== undefined) {
+    match.port = endpoint.portEnd != null ? `${endpoint.port}-${endpoint.portEnd}` : endpoint.port;
+  }
+  if (endpoint.protocol) match.protocol = endpoint.protocol;
+
+  const name = fields.processName || fields.path.split('/').pop();
+  return {
+    id: `learned-${slug(name)}-${slug(endpoint.requestedHost || endpoint.address)}-${endpoint.port ?? 'any'}`,
+    description: `Learned from Telegram decisions for ${name}`,
+    action,
+    match
+  };
+}
+
+/**
+ * Propose rules from action log entries
+ *
+ * A rule is proposed when one user made the same kind of decision
+ * (allow or block) for the same process + destination at least
+ * `minCount` times, nobody ever decided the other way, and no existing
+ * rule already covers it.
+ *
+ * @returns {Promise<Array<{id, rule, userId, count, lastSeen}>>}
+ */
+async function suggestRules(entries, existingRules = [], options = {}) {
+  const minCount = options.minCount || 3;
+  const groups = new Map();
+  const kindsByTarget = new Map();
+
+  for (const entry of entries) {
+    // Only successful human decisions with parsed alert fields
+    if (!entry.success || entry.ruleId || !entry.userId || !entry.fields) continue;
+    const kind = decisionKind(entry.action);
+    const key = targetKey(entry.fields);
+    if (!kind || !key) continue;
+
+    if (!kindsByTarget.has(key)) kindsByTarget.set(key, new Set());
+    kindsByTarget.get(key).add(kind);
+
+    const groupKey = `${key}|${entry.userId}|${kind}`;
+    const group = groups.get(groupKey) || { key, userId: entry.userId, kind, actions: {}, count: 0 };
+    group.count++;
+    group.actions[entry.action] = (group.actions[entry.action] || 0) + 1;
+    group.fields = entry.fields;
+    group.lastSeen = entry.timestamp;
+    groups.set(groupKey, group);
+  }
+
+  const suggestions = [];
+  const seenTargets = new Set();
+  for (const group of groups.values()) {
+    if (group.count < minCount) continue;
+    if (kindsByTarget.get(group.key).size > 1) continue;
+    if (seenTargets.has(group.key)) continue;
+    if (await matchRule(existingRules, group.fields, options)) continue;
+
+    // Use the action this user picked most often
+    const action = Object.entries(group.actions).sort((a, b) => b[1] - a[1])[0][0];
+    const rule = buildRule(group.fields, action);
+    seenTargets.add(group.key);
+    suggestions.push({
+      id: crypto.createHash('sha1').update(`${group.key}|${action}`).digest('hex').substring(0, 8),
+      rule,
+      userId: group.userId,
+      count: group.count,
+      lastSeen: group.lastSeen
+    });
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  readActionLog,
+  suggestRules
+};
@@ -0,0 +1,54 @@
+/**
+ * Latency Metrics
+ * Keeps recent durations of a repeated operation (e.g. one poll cycle)
+ * and summarizes them for /status.
+ */
+
+class LatencyStats {
+  constructor(options = {}) {
+    this.size = options.size || 100;  // Samples kept for percentiles
+    this.samples = [];
+    this.count = 0;
+    this.errors = 0;
+    this.lastMs = null;
+    this.maxMs = 0;
+    this.lastAt = null;
+  }
+
+  /**
+   * Record one duration; failed runs are counted separately too
+   */
+  record(ms, options = {}) {
+    this.count++;
+    if (options.error) this.errors++;
+    this.lastMs = ms;
+    this.maxMs = Math.max(this.maxMs, ms);
+    this.lastAt = new Date().toISOString();
+    this.samples.push(ms);
+    if (this.samples.length > this.size) this.samples.shift();
+  }
+
+  percentile(p) {
+    if (!this.samples.length) return null;
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+  }
+
+  toJSON() {
+    const total = this.samples.reduce((sum, ms) => sum + ms, 0);
+    return {
+      count: this.count,
+      errors: this.errors,
+      lastMs: this.lastMs,
+      avgMs: this.samples.length ? Math.round(total / this.samples.length) : null,
+      p50Ms: this.percentile(0.5),
+      p95Ms: this.percentile(0.95),
+      maxMs: this.maxMs,
+      lastAt: this.lastAt
+    };
+  }
+}
+
+module.exports = {
+  LatencyStats
+};
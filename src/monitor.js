@@ -3,8 +3,10 @@
  * Monitors for LuLu Firewall alerts and forwards to OpenClaw
  */
 
-const { execSync, spawn } = require('child_process');
 const path = require('path');
+const { runCommand } = require('./command');
+const { parseAlertTexts, formatEndpoint, alertFingerprint } = require('./parser');
+const { AlertRegistry } = require('./registry');
 
 class LuLuMonitor {
   constructor(options = {}) {
@@ -24,7 +26,7 @@ class LuLuMonitor {
   /**
    * Check if LuLu alert window exists
    */
-  checkForAlert() {
+  async checkForAlert() {
     try {
       const script = `
         tell application "System Events"
@@ -39,8 +41,8 @@ class LuLuMonitor {
           return "NO_ALERT"
         end tell
       `;
-      const result = execSync(`osascript -e '${script}'`, { encoding: 'utf8' }).trim();
-      return result === 'ALERT_FOUND';
+      const { stdout } = await runCommand('osascript', ['-e', script], { timeoutMs: 10000 });
+      return stdout.trim() === 'ALERT_FOUND';
     } catch (e) {
       return false;
     }
@@ -49,7 +51,7 @@ class LuLuMonitor {
   /**
    * Extract all text from LuLu alert window
    */
-  extractAlertData() {
+  async extractAlertData() {
     try {
       const script = `
         tell application "System Events"
@@ -80,11 +82,11 @@ class LuLuMonitor {
           end tell
         end tell
       `;
-      const result = execSync(`osascript -e '${script}'`, { encoding: 'utf8' }).trim();
-      const texts = result.split('|||').filter(t => t.trim());
+      const { stdout } = await runCommand('osascript', ['-e', script], { timeoutMs: 10000 });
+      const texts = stdout.trim().split('|||').filter(t => t.trim());
       return {
         texts,
-        hash: this.hashTexts(texts),
+        hash: this.hashTexts(texts),  // Alert ID, same as the main monitor's
         timestamp: Date.now()
       };
     } catch (e) {
@@ -94,10 +96,10 @@ class LuLuMonitor {
   }
 
   /**
-   * Create a hash of alert texts to detect duplicates
+   * Alert ID from the parsed alert fingerprint, to detect duplicates
    */
   hashTexts(texts) {
-    return texts.join('|').substring(0, 200);
+    return AlertRegistry.alertId(alertFingerprint(parseAlertTexts(texts)));
   }
 
   /**
@@ -109,35 +111,12 @@ class LuLuMonitor {
     
     try {
       // Use openclaw CLI to send message
-      const proc = spawn('openclaw', ['send', '--session', 'main', message], {
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
-      
-      let stdout = '';
-      let stderr = '';
-      
-      proc.stdout.on('data', (data) => { stdout += data; });
-      proc.stderr.on('data', (data) => { stderr += data; });
-      
-      return new Promise((resolve, reject) => {
-        proc.on('close', (code) => {
-          if (code === 0) {
-            this.log('Sent to OpenClaw successfully');
-            resolve(true);
-          } else {
-            this.log('OpenClaw send failed:', stderr);
-            // Fallback: try wake event
-            this.sendViaWake(alertData).then(resolve).catch(reject);
-          }
-        });
-        
-        proc.on('error', (err) => {
-          this.log('OpenClaw spawn error:', err.message);
-          this.sendViaWake(alertData).then(resolve).catch(reject);
-        });
-      });
+      await runCommand('openclaw', ['send', '--session', 'main', message], { timeoutMs: 15000 });
+      this.log('Sent to OpenClaw successfully');
+      return true;
     } catch (e) {
-      this.log('Error sending to OpenClaw:', e.message);
+      this.log('OpenClaw send failed:', e.message);
+      // Fallback: try wake event
       return this.sendViaWake(alertData);
     }
   }
@@ -163,11 +142,16 @@ class LuLuMonitor {
    * Format alert data as message for OpenClaw
    */
   formatAlertMessage(alertData) {
+    const alert = parseAlertTexts(alertData.texts);
     const lines = [
       '🔥 **LuLu Firewall Alert**',
       '',
       'A network connection alert needs your attention.',
       '',
+      `Process: ${alert.processName || 'unknown'} (pid ${alert.pid || 'unknown'})`,
+      `Path: ${alert.path || 'unknown'}`,
+      `Destination: ${formatEndpoint(alert.endpoint)}`,
+      '',
       '**Raw alert data:**',
       '```',
       ...alertData.texts,
@@ -176,7 +160,7 @@ class LuLuMonitor {
       'Please analyze this connection and tell me whether to Allow or Block.',
       'After deciding, I will click the appropriate button.',
       '',
-      `Alert ID: ${alertData.hash.substring(0, 20)}`
+      `Alert ID: ${alertData.hash}`
     ];
     return lines.join('\n');
   }
@@ -184,7 +168,7 @@ class LuLuMonitor {
   /**
    * Execute action on LuLu alert (Allow or Block)
    */
-  executeAction(action) {
+  async executeAction(action) {
     const buttonName = action.toLowerCase() === 'allow' ? 'Allow' : 'Block';
     this.log(`Executing action: ${buttonName}`);
     
@@ -197,7 +181,7 @@ class LuLuMonitor {
           end tell
         end tell
       `;
-      execSync(`osascript -e '${script}'`);
+      await runCommand('osascript', ['-e', script], { timeoutMs: 10000 });
       this.log(`Clicked ${buttonName} successfully`);
       return true;
     } catch (e) {
@@ -213,10 +197,10 @@ class LuLuMonitor {
     if (!this.polling) return;
 
     try {
-      const hasAlert = this.checkForAlert();
+      const hasAlert = await this.checkForAlert();
       
       if (hasAlert) {
-        const alertData = this.extractAlertData();
+        const alertData = await this.extractAlertData();
         
         if (alertData && alertData.hash !== this.lastAlertHash) {
           this.log('New alert detected!');
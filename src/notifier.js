@@ -0,0 +1,239 @@
+/**
+ * Notifier Backends
+ * Deliver alert messages (with inline buttons) to users and edit them later.
+ *
+ * Every notifier implements the same interface:
+ *   send(target, text, buttons)             -> message ID (string)
+ *   edit(target, messageId, text, buttons)  -> true if edited
+ * Both are async and throw on delivery errors. `buttons` is an inline
+ * keyboard: rows of { text, callback_data }, or null for none.
+ *
+ * Types (config.json "notifier" / "userNotifiers"):
+ *   { "type": "openclaw", "channel": "telegram", "timeoutMs": 15000 }
+ *   { "type": "telegram", "botToken": "123:ABC", "apiBase": "https://api.telegram.org" }
+ *   { "type": "webhook", "url": "https://example.com/lulu", "headers": { ... } }
+ *   { "type": "log", "path": "logs/notifications.jsonl" }   (stdout if no path)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { runCommand } = require('./command');
+
+/**
+ * POST a JSON body and parse the JSON response
+ * Throws on network errors, timeouts and non-2xx responses
+ */
+function postJson(url, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...options.headers
+      },
+      timeout: options.timeoutMs || 15000
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => text += chunk);
+      res.on('end', () => {
+        let json = null;
+        try { json = text ? JSON.parse(text) : null; } catch (e) {}
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const err = new Error(`HTTP ${res.statusCode}: ${json?.description || text.substring(0, 200)}`);
+          err.statusCode = res.statusCode;
+          err.response = json;
+          reject(err);
+          return;
+        }
+        resolve(json);
+      });
+    });
+    req.on('error', reject);
+    req.on('timeout', () => req.destroy(new Error('Request timeout')));
+    req.end(data);
+  });
+}
+
+/**
+ * OpenClaw CLI (`openclaw message send/edit`)
+ */
+class OpenClawNotifier {
+  constructor(options = {}) {
+    this.type = 'openclaw';
+    this.channel = options.channel || 'telegram';
+    this.timeoutMs = options.timeoutMs || 15000;
+  }
+
+  async send(target, text, buttons) {
+    const args = ['message', 'send', '--channel', this.channel, '--target', String(target), '--message', text];
+    if (buttons) args.push('--buttons', JSON.stringify(buttons));
+    const { stdout } = await runCommand('openclaw', args, { timeoutMs: this.timeoutMs });
+
+    // Extract message ID from CLI output
+    const match = stdout.match(/Message ID:\s*(\d+)/i);
+    if (!match) throw new Error(`Sent, but no message ID in CLI output: ${stdout.substring(0, 100)}`);
+    return match[1];
+  }
+
+  async edit(target, messageId, text, buttons) {
+    const args = ['message', 'edit', '--channel', this.channel, '--target', String(target), '--message-id', String(messageId), '--message', text];
+    // Telegram drops the inline keyboard on edit unless it is sent again
+    if (buttons) args.push('--buttons', JSON.stringify(buttons));
+    await runCommand('openclaw', args, { timeoutMs: this.timeoutMs });
+    return true;
+  }
+}
+
+/**
+ * Telegram Bot API (sendMessage / editMessageText)
+ */
+class TelegramBotNotifier {
+  constructor(options = {}) {
+    if (!options.botToken) throw new Error('botToken is required for the telegram notifier');
+    this.type = 'telegram';
+    this.botToken = options.botToken;
+    this.apiBase = (options.apiBase || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  /**
+   * Call a Bot API method and return its result
+   */
+  async call(method, params, options = {}) {
+    const response = await postJson(`${this.apiBase}/bot${this.botToken}/${method}`, params, options);
+    if (!response?.ok) throw new Error(`Telegram ${method} failed: ${response?.description || 'no response'}`);
+    return response.result;
+  }
+
+  async send(target, text, buttons) {
+    const result = await this.call('sendMessage', {
+      chat_id: target,
+      text,
+      ...(buttons && { reply_markup: { inline_keyboard: buttons } })
+    });
+    return String(result.message_id);
+  }
+
+  async edit(target, messageId, text, buttons) {
+    await this.call('editMessageText', {
+      chat_id: target,
+      message_id: Number(messageId),
+      text,
+      ...(buttons && { reply_markup: { inline_keyboard: buttons } })
+    });
+    return true;
+  }
+
+  /**
+   * Long-poll for button presses (callback_query updates)
+   */
+  async getUpdates(offset, timeoutSec) {
+    return this.call('getUpdates', {
+      offset,
+      timeout: timeoutSec,
+      allowed_updates: ['callback_query']
+    }, { timeoutMs: (timeoutSec + 10) * 1000 });
+  }
+
+  /**
+   * Stop the button's loading spinner, optionally showing a short toast
+   */
+  async answerCallbackQuery(callbackQueryId, text) {
+    await this.call('answerCallbackQuery', {
+      callback_query_id: callbackQueryId,
+      ...(text && { text: text.substring(0, 200) })
+    });
+    return true;
+  }
+}
+
+/**
+ * Generic outgoing webhook: POSTs
+ *   { event: "send", target, text, buttons }
+ *   { event: "edit", target, messageId, text, buttons }
+ * and reads { messageId } from the send response (generated if missing).
+ */
+class WebhookNotifier {
+  constructor(options = {}) {
+    if (!options.url) throw new Error('url is required for the webhook notifier');
+    this.type = 'webhook';
+    this.url = options.url;
+    this.headers = options.headers || {};
+  }
+
+  async send(target, text, buttons) {
+    const response = await postJson(this.url, { event: 'send', target, text, buttons: buttons || null }, { headers: this.headers });
+    return String(response?.messageId || crypto.randomBytes(6).toString('hex'));
+  }
+
+  async edit(target, messageId, text, buttons) {
+    await postJson(this.url, { event: 'edit', target, messageId, text, buttons: buttons || null }, { headers: this.headers });
+    return true;
+  }
+}
+
+/**
+ * Writes every message as a JSON line to a file (or stdout), for testing
+ */
+class LogNotifier {
+  constructor(options = {}) {
+    this.type = 'log';
+    this.path = options.path || null;
+    this.nextId = 1;
+  }
+
+  write(record) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...record }) + '\n';
+    if (this.path) {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      fs.appendFileSync(this.path, line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  async send(target, text, buttons) {
+    const messageId = String(this.nextId++);
+    this.write({ event: 'send', target, messageId, text, buttons: buttons || null });
+    return messageId;
+  }
+
+  async edit(target, messageId, text, buttons) {
+    this.write({ event: 'edit', target, messageId, text, buttons: buttons || null });
+    return true;
+  }
+}
+
+/**
+ * Create notifier by type ('openclaw', 'telegram', 'webhook' or 'log')
+ */
+function createNotifier(options = {}) {
+  const type = options.type || 'openclaw';
+  switch (type) {
+    case 'openclaw':
+      return new OpenClawNotifier(options);
+    case 'telegram':
+      return new TelegramBotNotifier(options);
+    case 'webhook':
+      return new WebhookNotifier(options);
+    case 'log':
+      return new LogNotifier(options);
+    default:
+      throw new Error(`Unknown notifier: ${type}`);
+  }
+}
+
+module.exports = {
+  LogNotifier,
+  OpenClawNotifier,
+  TelegramBotNotifier,
+  WebhookNotifier,
+  createNotifier,
+  postJson
+};
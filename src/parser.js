@@ -0,0 +1,357 @@
+/**
+ * LuLu Alert Parser
+ * Turns the raw text dump of a LuLu alert window into a structured alert.
+ *
+ * LuLu shows each detail as a label ("pid:", "path:", ...) followed by its
+ * value, so values are paired with their label first. Whatever is left over
+ * is matched by pattern, since the UI text order is not always reliable.
+ */
+
+const net = require('net');
+const path = require('path');
+
+// LuLu label -> alert field
+const LABELS = {
+  'pid:': 'pid',
+  'args:': 'args',
+  'path:': 'path',
+  'port/protocol:': 'portProtocol',
+  'ip address:': 'ipAddress',
+  '(reverse) dns:': 'reverseDNS',
+  'time stamp:': 'timestamp'
+};
+
+// UI strings that are never values
+const UI_TEXTS = [
+  'lulu alert', 'details & options', 'process:', 'connection:',
+  'rule scope:', 'rule duration:', 'allow', 'block', 'always',
+  'process lifetime', 'process', 'remote endpoint', 'endpoint'
+];
+
+// Values LuLu shows when a field is empty
+const EMPTY_VALUES = ['none', 'unknown', 'n/a', '-'];
+
+// Confidence levels per field
+const CONFIDENCE = {
+  LABEL: 1,      // Value found right after its label
+  DERIVED: 0.8,  // Derived from another labelled field
+  PATTERN: 0.5,  // Guessed by pattern from unlabelled text
+  NONE: 0        // Not found
+};
+
+const HOSTNAME_RE = /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}\.?$/;
+const PROTOCOLS = ['TCP', 'UDP', 'ICMP', 'ICMPv6', 'SCTP', 'IGMP', 'GRE', 'ESP', 'AH', 'RAW'];
+// "443 (TCP)", "5000-5010 (UDP)", "(ICMP)", "ICMPv6"
+const PORT_PROTOCOL_RE = new RegExp(
+  `^(?:(\\d{1,5})(?:\\s*-\\s*(\\d{1,5}))?\\s*)?\\(?\\s*(${PROTOCOLS.join('|')})\\s*\\)?$`, 'i'
+);
+
+/**
+ * Parse an IP address as LuLu may show it: IPv4, IPv6, bracketed IPv6
+ * with optional port ("[::1]:443"), zone-indexed ("fe80::1%en0") and
+ * IPv4-mapped IPv6 ("::ffff:1.2.3.4", normalized to the IPv4 address).
+ * Returns null if the text is not an IP address.
+ */
+function parseAddress(text) {
+  let value = String(text).trim();
+  let port = null;
+
+  const bracketed = value.match(/^\[([^\]]+)\](?::(\d{1,5}))?$/);
+  if (bracketed) {
+    value = bracketed[1];
+    port = bracketed[2] ? Number(bracketed[2]) : null;
+  }
+
+  let zone = '';
+  const pct = value.indexOf('%');
+  if (pct !== -1) {
+    zone = value.slice(pct + 1);
+    value = value.slice(0, pct);
+  }
+
+  const family = net.isIP(value);
+  if (!family) return null;
+
+  if (family === 6) {
+    const dotted = value.match(/^(?:0{0,4}:){0,5}:?ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i);
+    const hex = value.match(/^(?:0{0,4}:){0,5}:?ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (dotted) {
+      return { address: dotted[1], family: 4, zone: '', mapped: true, port };
+    }
+    if (hex) {
+      const hi = parseInt(hex[1], 16);
+      const lo = parseInt(hex[2], 16);
+      const address = [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+      return { address, family: 4, zone: '', mapped: true, port };
+    }
+    value = value.toLowerCase();
+  }
+
+  return { address: value, family, zone, mapped: false, port };
+}
+
+/**
+ * Parse a port/protocol value into { port, portEnd, protocol }
+ */
+function parsePortProtocol(text) {
+  const m = String(text).trim().match(PORT_PROTOCOL_RE);
+  if (!m) return null;
+  const protocol = PROTOCOLS.find(p => p.toLowerCase() === m[3].toLowerCase());
+  const port = m[1] ? Number(m[1]) : null;
+  const portEnd = m[2] ? Number(m[2]) : null;
+  if ((port !== null && port > 65535) || (portEnd !== null && (portEnd > 65535 || portEnd < port))) {
+    return null;
+  }
+  return { port, portEnd, protocol };
+}
+
+function isHostname(text) {
+  return HOSTNAME_RE.test(text) && !parseAddress(text);
+}
+
+// Value validators, used both for labelled values and pattern guesses
+const VALIDATORS = {
+  pid: (v) => /^\d+$/.test(v),
+  args: (v) => !v.endsWith(':'),
+  path: (v) => v.startsWith('/'),
+  portProtocol: (v) => parsePortProtocol(v) !== null,
+  ipAddress: (v) => parseAddress(v) !== null || isHostname(v),
+  reverseDNS: isHostname,
+  timestamp: (v) => /\d{1,2}:\d{2}/.test(v) || /\d{4}-\d{2}-\d{2}/.test(v)
+};
+
+// Pattern guesses for unlabelled texts, in priority order
+const PATTERNS = [
+  ['ipAddress', (v) => parseAddress(v) !== null],
+  ['portProtocol', VALIDATORS.portProtocol],
+  ['pid', (v) => /^\d{1,7}$/.test(v)],
+  ['path', VALIDATORS.path],
+  ['args', (v) => v.startsWith('-') || v.includes('://')],
+  ['reverseDNS', VALIDATORS.reverseDNS],
+  ['timestamp', VALIDATORS.timestamp]
+];
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {string} address     Normalized IP ('' if LuLu only showed a hostname)
+ * @property {number|null} family 4, 6 or null
+ * @property {string} zone        IPv6 zone index, e.g. 'en0'
+ * @property {boolean} mapped     True if shown as IPv4-mapped IPv6
+ * @property {string} host        Hostname (reverse DNS, or the one LuLu connected to)
+ * @property {string} requestedHost  Name in LuLu's "is trying to connect to ..." ('' if none)
+ * @property {number|null} port
+ * @property {number|null} portEnd  Last port of a range, else null
+ * @property {string} protocol    'TCP', 'UDP', 'ICMP', ...
+ */
+
+/**
+ * @typedef {Object} LuLuAlert
+ * @property {string} processName
+ * @property {string} pid
+ * @property {string} path
+ * @property {string} args
+ * @property {string} ipAddress
+ * @property {string} port
+ * @property {string} protocol
+ * @property {string} reverseDNS
+ * @property {string} timestamp   LuLu's own "Time stamp:" value
+ * @property {Endpoint} endpoint
+ * @property {Object<string, number>} confidence  0..1 per field
+ * @property {string[]} rawTexts
+ */
+
+function isLabel(text) {
+  return Object.prototype.hasOwnProperty.call(LABELS, text.toLowerCase());
+}
+
+function isUiText(text) {
+  return UI_TEXTS.includes(text.toLowerCase()) || text.endsWith(':');
+}
+
+function isEmptyValue(text) {
+  return EMPTY_VALUES.includes(text.toLowerCase());
+}
+
+/**
+ * Parse raw text array into a structured alert
+ * @param {string[]} texts
+ * @returns {LuLuAlert}
+ */
+function parseAlertTexts(texts) {
+  const trimmed = (texts || []).map(t => String(t).trim()).filter(Boolean);
+  const values = {};
+  const confidence = {};
+  const claimed = new Set();
+
+  const set = (field, value, level) => {
+    if (confidence[field] !== undefined && confidence[field] >= level) return;
+    values[field] = value;
+    confidence[field] = level;
+  };
+
+  // 1. Pair each label with the value that follows it
+  for (let i = 0; i < trimmed.length; i++) {
+    const field = LABELS[trimmed[i].toLowerCase()];
+    if (!field) continue;
+    claimed.add(i);
+
+    const next = trimmed[i + 1];
+    if (next === undefined || isLabel(next)) continue;
+
+    if (isEmptyValue(next)) {
+      set(field, '', CONFIDENCE.LABEL);
+      claimed.add(i + 1);
+    } else if (VALIDATORS[field](next)) {
+      set(field, next, CONFIDENCE.LABEL);
+      claimed.add(i + 1);
+    }
+  }
+
+  // 2. Guess remaining fields from unclaimed texts
+  const leftovers = [];
+  trimmed.forEach((t, i) => {
+    if (claimed.has(i) || isUiText(t) || isEmptyValue(t)) return;
+    const match = PATTERNS.find(([field, test]) => confidence[field] === undefined && test(t));
+    if (match) {
+      set(match[0], t, CONFIDENCE.PATTERN);
+    } else {
+      leftovers.push(t);
+    }
+  });
+
+  // 3. Build the normalized endpoint
+  const portInfo = values.portProtocol ? parsePortProtocol(values.portProtocol) : null;
+  const addressInfo = values.ipAddress ? parseAddress(values.ipAddress) : null;
+  const reverseDNS = (values.reverseDNS || '').replace(/\.$/, '');
+  const headerHost = trimmed
+    .map(t => t.match(/\btrying to connect to\s+(\S+)/i))
+    .find(Boolean)?.[1]?.replace(/\.$/, '') || '';
+  const labelHost = values.ipAddress && !addressInfo ? values.ipAddress.replace(/\.$/, '') : '';
+
+  const endpoint = {
+    address: addressInfo?.address || '',
+    family: addressInfo?.family || null,
+    zone: addressInfo?.zone || '',
+    mapped: addressInfo?.mapped || false,
+    host: reverseDNS || labelHost || (isHostname(headerHost) ? headerHost : ''),
+    requestedHost: isHostname(headerHost) ? headerHost : '',
+    port: portInfo?.port ?? addressInfo?.port ?? null,
+    portEnd: portInfo?.portEnd ?? null,
+    protocol: portInfo?.protocol || ''
+  };
+  const port = endpoint.port === null ? ''
+    : endpoint.portEnd !== null ? `${endpoint.port}-${endpoint.portEnd}` : String(endpoint.port);
+
+  // 4. Process name: LuLu's header text, checked against the path basename
+  const baseName = values.path ? path.basename(values.path) : '';
+  let processName = '';
+  let processConfidence = CONFIDENCE.NONE;
+  const header = leftovers.find(t => t.length < 50 && /^[\w .+-]+$/.test(t) && !/\btrying to connect\b/i.test(t));
+  if (header && baseName && header === baseName) {
+    processName = header;
+    processConfidence = CONFIDENCE.LABEL;
+  } else if (baseName) {
+    processName = baseName;
+    processConfidence = CONFIDENCE.DERIVED;
+  } else if (header) {
+    processName = header;
+    processConfidence = CONFIDENCE.PATTERN;
+  }
+
+  const portConfidence = confidence.portProtocol ?? CONFIDENCE.NONE;
+  return {
+    processName,
+    pid: values.pid || '',
+    path: values.path || '',
+    args: values.args || '',
+    ipAddress: endpoint.address,
+    port,
+    protocol: endpoint.protocol,
+    reverseDNS,
+    timestamp: values.timestamp || '',
+    endpoint,
+    confidence: {
+      processName: processConfidence,
+      pid: confidence.pid ?? CONFIDENCE.NONE,
+      path: confidence.path ?? CONFIDENCE.NONE,
+      args: confidence.args ?? CONFIDENCE.NONE,
+      ipAddress: addressInfo ? confidence.ipAddress : CONFIDENCE.NONE,
+      port: portConfidence,
+      protocol: portConfidence,
+      reverseDNS: confidence.reverseDNS ?? CONFIDENCE.NONE,
+      timestamp: confidence.timestamp ?? CONFIDENCE.NONE
+    },
+    rawTexts: texts || []
+  };
+}
+
+/**
+ * Format endpoint for display, e.g. "github.com (140.82.112.4) 443/TCP"
+ * or "[2001:db8::1]:5000-5010/UDP"
+ */
+function formatEndpoint(endpoint) {
+  if (!endpoint) return 'unknown';
+  let address = endpoint.address;
+  if (address && endpoint.family === 6) {
+    address = `[${address}${endpoint.zone ? '%' + endpoint.zone : ''}]`;
+  }
+  let where = endpoint.host && address ? `${endpoint.host} (${address})` : (endpoint.host || address || 'unknown');
+  if (endpoint.port !== null) {
+    where += ` ${endpoint.port}${endpoint.portEnd !== null ? '-' + endpoint.portEnd : ''}`;
+    if (endpoint.protocol) where += `/${endpoint.protocol}`;
+  } else if (endpoint.protocol) {
+    where += ` ${endpoint.protocol}`;
+  }
+  return where;
+}
+
+/**
+ * Structured alert fields for logs (no raw texts or confidence)
+ */
+function alertFields(alert) {
+  if (!alert) return null;
+  return {
+    processName: alert.processName,
+    pid: alert.pid,
+    path: alert.path,
+    args: alert.args,
+    ipAddress: alert.ipAddress,
+    reverseDNS: alert.reverseDNS,
+    timestamp: alert.timestamp,
+    endpoint: { ...alert.endpoint }
+  };
+}
+
+/**
+ * Canonical text identifying one alert, for the alert ID and dedupe
+ *
+ * Built from normalized fields (process path, pid, endpoint, port,
+ * protocol, LuLu's timestamp), so reordered or reformatted UI text gives
+ * the same fingerprint and alerts differing in any of them do not collide.
+ * Falls back to the full raw text when too little could be parsed.
+ */
+function alertFingerprint(alert) {
+  const fields = {
+    path: alert?.path || '',
+    pid: alert?.pid || '',
+    address: (alert?.endpoint?.address || '').toLowerCase(),
+    host: (alert?.endpoint?.host || '').toLowerCase(),
+    port: alert?.port || '',
+    protocol: (alert?.protocol || '').toUpperCase(),
+    timestamp: alert?.timestamp || ''
+  };
+  if (!fields.path && !fields.pid && !fields.address && !fields.host) {
+    return 'raw\n' + (alert?.rawTexts || []).map(t => String(t).trim()).join('\n');
+  }
+  return Object.entries(fields).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+module.exports = {
+  CONFIDENCE,
+  alertFields,
+  alertFingerprint,
+  formatEndpoint,
+  parseAddress,
+  parseAlertTexts,
+  parsePortProtocol
+};
@@ -0,0 +1,101 @@
+/**
+ * Auto-Execute Policy
+ * The AI only recommends; the monitor decides whether to act on a verdict
+ * by itself (config.json "autoExecutePolicy"):
+ *
+ *   {
+ *     "minConfidence": 0.9,        // Verdicts below this go to Telegram
+ *     "maxRisk": "low",            // Highest risk an allow verdict may have
+ *     "actions": ["allow-once"],   // Actions the monitor may take by itself
+ *     "requireSigned": true        // Never for unsigned (or ad-hoc signed) binaries
+ *   }
+ *
+ * A permanent verdict whose action is not listed is taken once instead,
+ * if the once action is listed. Alerts hit by a threat intel block list
+ * or sent to a human by an "ask" rule are never auto-executed.
+ */
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const POLICY_ACTIONS = ['allow', 'block', 'allow-once', 'block-once'];
+
+const DEFAULT_POLICY = {
+  minConfidence: 0.9,
+  maxRisk: 'low',
+  actions: ['allow-once'],
+  requireSigned: true
+};
+
+/**
+ * Fill in defaults and check a policy from config.json; throws if invalid
+ */
+function normalizePolicy(options = {}) {
+  const policy = { ...DEFAULT_POLICY, ...options };
+  if (typeof policy.minConfidence !== 'number' || policy.minConfidence < 0 || policy.minConfidence > 1) {
+    throw new Error('"minConfidence" must be a number between 0 and 1');
+  }
+  if (!RISK_LEVELS.includes(policy.maxRisk)) {
+    throw new Error(`"maxRisk" must be one of ${RISK_LEVELS.join(', ')}`);
+  }
+  if (!Array.isArray(policy.actions) || policy.actions.some(a => !POLICY_ACTIONS.includes(a))) {
+    throw new Error(`"actions" must be a list of ${POLICY_ACTIONS.join(', ')}`);
+  }
+  policy.requireSigned = policy.requireSigned !== false;
+  return policy;
+}
+
+/**
+ * LuLu action for a verdict, e.g. allow + once -> "allow-once"
+ */
+function verdictAction(verdict) {
+  return verdict.duration === 'once' ? `${verdict.recommendation}-once` : verdict.recommendation;
+}
+
+/**
+ * Check a validated verdict against the policy
+ * context: { signed, intel, askRule }
+ *   signed  - true/false from codesign, null if unknown
+ *   intel   - threat intel match of the alert, if any
+ *   askRule - "ask" rule that matched the alert, if any
+ *
+ * @returns {{execute: boolean, action: string, recommended: string, reasons: string[]}}
+ *   action is what would be taken (permanent verdicts may be downgraded to once),
+ *   reasons lists every check that failed (empty when execute is true)
+ */
+function evaluatePolicy(verdict, policy, context = {}) {
+  const recommended = verdictAction(verdict);
+  let action = recommended;
+  const reasons = [];
+
+  if (!policy.actions.includes(action)) {
+    const once = `${verdict.recommendation}-once`;
+    if (action !== once && policy.actions.includes(once)) {
+      action = once;
+    } else {
+      reasons.push(`${action} is not in actions`);
+    }
+  }
+  if (verdict.confidence < policy.minConfidence) {
+    reasons.push(`confidence ${verdict.confidence} < ${policy.minConfidence}`);
+  }
+  if (verdict.recommendation === 'allow' && RISK_LEVELS.indexOf(verdict.risk) > RISK_LEVELS.indexOf(policy.maxRisk)) {
+    reasons.push(`risk ${verdict.risk} > ${policy.maxRisk}`);
+  }
+  if (policy.requireSigned && context.signed !== true) {
+    reasons.push(context.signed === false ? 'binary is not signed' : 'binary signature unknown');
+  }
+  if (context.intel?.list === 'block') {
+    reasons.push(`threat intel block list ${context.intel.feed} matched`);
+  }
+  if (context.askRule) {
+    reasons.push(`ask rule ${context.askRule.id} matched`);
+  }
+
+  return { execute: reasons.length === 0, action, recommended, reasons };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  evaluatePolicy,
+  normalizePolicy,
+  verdictAction
+};
@@ -0,0 +1,200 @@
+/**
+ * Alert Registry
+ * Tracks every alert and its Telegram messages by a stable alert ID,
+ * so a button press always acts on the alert it was sent for.
+ */
+
+const crypto = require('crypto');
+
+const STATUS = {
+  PENDING: 'pending',      // Waiting for a decision
+  RESOLVED: 'resolved',    // Action taken (button, rule or auto-execute)
+  FAILED: 'failed',        // Action tried but the alert is still open; can be retried
+  DISMISSED: 'dismissed'   // Alert window went away without our action
+};
+
+class AlertRegistry {
+  constructor(options = {}) {
+    this.maxAgeMs = options.maxAgeMs || 60 * 60 * 1000; // Keep finished alerts 1 hour
+    this.alerts = new Map();
+  }
+
+  /**
+   * Short stable ID derived from the alert fingerprint (see alertFingerprint)
+   */
+  static alertId(fingerprint) {
+    return crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 10);
+  }
+
+  /**
+   * Whether text from a URL or callback looks like an alert ID
+   */
+  static isAlertId(text) {
+    return typeof text === 'string' && /^[a-f0-9]+$/.test(text);
+  }
+
+  /**
+   * Register a newly detected alert (or return the pending one with the same ID)
+   */
+  add(alertData) {
+    const id = AlertRegistry.alertId(alertData.fingerprint);
+    const existing = this.alerts.get(id);
+    if (existing && existing.status === STATUS.PENDING) return existing;
+
+    const entry = {
+      id,
+      fingerprint: alertData.fingerprint,
+      alert: alertData.alert,
+      texts: alertData.texts,
+      raw: alertData.raw,   // Exact window text, to click the right window
+      analysisToken: crypto.randomBytes(16).toString('hex'),  // Authorizes POST /analysis/:id
+      verdict: null,        // Validated AI verdict, once received
+      model: null,          // AI model that gave the verdict
+      enrichment: null,     // Local context added before analysis (see enrich.js)
+      intel: null,          // Threat feed hit: { feed, list, type, indicator }
+      policy: null,         // Auto-execute decision: { execute, action, recommended, reasons }
+      status: STATUS.PENDING,
+      messageIds: {},       // telegramId -> message ID
+      content: null,        // Message text sent to Telegram
+      notifiedAt: null,     // When the message went out
+      createdAt: Date.now(),
+      resolvedAt: null,
+      resolution: null,     // { action, by, success, reason }
+      timeoutAction: null,  // Overrides the default timeout action (set by an 'ask' rule)
+      askRule: null,        // Matching 'ask' rule: { id, description }
+      approvals: null,      // Pending "Always Allow" votes: { voters, startedAt }
+      remindersSent: 0,     // Escalation reminders already sent
+      timedOut: false       // Timeout action already taken
+    };
+    this.alerts.set(id, entry);
+    this.prune();
+    return entry;
+  }
+
+  get(id) {
+    return this.alerts.get(id) || null;
+  }
+
+  /**
+   * Most recently detected alert still waiting for a decision
+   */
+  latestPending() {
+    let latest = null;
+    for (const entry of this.alerts.values()) {
+      if (entry.status === STATUS.PENDING && (!latest || entry.createdAt >= latest.createdAt)) {
+        latest = entry;
+      }
+    }
+    return latest;
+  }
+
+  pending() {
+    return [...this.alerts.values()].filter(e => e.status === STATUS.PENDING);
+  }
+
+  failed() {
+    return [...this.alerts.values()].filter(e => e.status === STATUS.FAILED);
+  }
+
+  /**
+   * Mark alert as decided
+   */
+  resolve(id, resolution) {
+    const entry = this.alerts.get(id);
+    if (!entry) return null;
+    entry.status = STATUS.RESOLVED;
+    entry.resolvedAt = Date.now();
+    entry.resolution = resolution;
+    return entry;
+  }
+
+  /**
+   * Mark alert as failed: the action did not close it
+   */
+  fail(id, resolution) {
+    const entry = this.alerts.get(id);
+    if (!entry) return null;
+    entry.status = STATUS.FAILED;
+    entry.resolution = resolution;
+    return entry;
+  }
+
+  /**
+   * True if a button press may still act on this alert
+   */
+  isActionable(entry) {
+    return entry.status === STATUS.PENDING || entry.status === STATUS.FAILED;
+  }
+
+  /**
+   * Mark alert as dismissed (window closed without our action)
+   */
+  dismiss(id) {
+    const entry = this.alerts.get(id);
+    if (!entry) return null;
+    entry.status = STATUS.DISMISSED;
+    entry.resolvedAt = Date.now();
+    return entry;
+  }
+
+  /**
+   * Mark open (pending or failed) alerts as dismissed, except exceptIds
+   */
+  dismissPending(exceptIds = []) {
+    const dismissed = [];
+    for (const entry of this.alerts.values()) {
+      if (!this.isActionable(entry)) continue;
+      if (exceptIds.includes(entry.id)) continue;
+      dismissed.push(this.dismiss(entry.id));
+    }
+    return dismissed;
+  }
+
+  /**
+   * Open (pending or failed) alerts as plain objects, for saving to disk
+   */
+  snapshot() {
+    return [...this.alerts.values()].filter(e => this.isActionable(e)).map(e => ({ ...e }));
+  }
+
+  /**
+   * Re-register an alert saved by snapshot(), e.g. after a restart
+   */
+  restore(saved) {
+    const entry = { ...saved, messageIds: { ...saved.messageIds } };
+    this.alerts.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Drop finished alerts older than maxAgeMs
+   * Pending and failed alerts are kept: they can still be decided.
+   */
+  prune() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const [id, entry] of this.alerts) {
+      if (!this.isActionable(entry) && entry.resolvedAt < cutoff) {
+        this.alerts.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Summary for the /status endpoint
+   */
+  list() {
+    return [...this.alerts.values()].map(e => ({
+      id: e.id,
+      status: e.status,
+      process: e.alert?.processName || '',
+      messageIds: e.messageIds,
+      createdAt: new Date(e.createdAt).toISOString(),
+      resolution: e.resolution
+    }));
+  }
+}
+
+module.exports = {
+  AlertRegistry,
+  STATUS
+};
@@ -0,0 +1,48 @@
+/**
+ * Telegram User Roles
+ * Decides which configured user may press which button.
+ *
+ *   viewer   - receives notifications only
+ *   operator - allow-once / block-once
+ *   admin    - everything, including permanent allow/block and rule reviews
+ */
+
+const ROLE_ACTIONS = {
+  viewer: [],
+  operator: ['allow-once', 'block-once'],
+  admin: ['allow', 'block', 'allow-once', 'block-once', 'rule-accept', 'rule-reject']
+};
+
+const ROLES = Object.keys(ROLE_ACTIONS);
+
+/**
+ * Role of a Telegram user, or null if the user is not configured
+ * Users in telegramIds without an explicit role get defaultRole.
+ */
+function roleOf(userId, config) {
+  if (!userId) return null;
+  const id = String(userId);
+  const explicit = config.telegramRoles?.[id];
+  if (explicit) return explicit;
+  return config.telegramIds.map(String).includes(id) ? config.defaultRole : null;
+}
+
+/**
+ * Check whether a user may perform an action
+ * Returns { allowed, role, reason }
+ */
+function authorize(userId, action, config) {
+  const role = roleOf(userId, config);
+  if (!role) {
+    return { allowed: false, role: null, reason: 'not an authorized user' };
+  }
+  if (!ROLE_ACTIONS[role]?.includes(action)) {
+    return { allowed: false, role, reason: `role ${role} may not ${action}` };
+  }
+  return { allowed: true, role, reason: null };
+}
+
+module.exports = {
+  ROLES,
+  authorize
+};
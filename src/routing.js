@@ -0,0 +1,92 @@
+/**
+ * Model Routing
+ * Which AI models analyze an alert, in order (config.json "modelRouting"):
+ *
+ *   {
+ *     "models": ["haiku", { "model": "sonnet", "runTimeoutSeconds": 60 }],
+ *     "escalateRisk": ["medium", "high"],   // Ask the next model about these verdicts
+ *     "escalateBelowConfidence": 0.7,       // ... and about less confident ones
+ *     "processModels": { "ssh": ["sonnet"], "/Applications/*": ["haiku"] }
+ *   }
+ *
+ * The first model is asked first. The next one is asked when the verdict
+ * calls for escalation, or when a model posts no verdict in time.
+ * processModels replaces the chain for a process name or path (globs allowed).
+ */
+
+const { globToRegExp } = require('./rules');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+const DEFAULT_ROUTING = {
+  models: ['haiku'],
+  runTimeoutSeconds: 30,
+  escalateRisk: ['medium', 'high'],
+  escalateBelowConfidence: 0.7,
+  processModels: {}
+};
+
+/**
+ * Model list from config -> [{ model, runTimeoutSeconds }]; throws if invalid
+ */
+function normalizeModels(models, defaultTimeout, where) {
+  if (!Array.isArray(models) || !models.length) throw new Error(`${where} must be a non-empty list`);
+  return models.map((item) => {
+    const step = typeof item === 'string' ? { model: item } : { ...item };
+    if (!step.model || typeof step.model !== 'string') throw new Error(`${where}: every entry needs a "model" name`);
+    step.runTimeoutSeconds = step.runTimeoutSeconds ?? defaultTimeout;
+    if (!(step.runTimeoutSeconds > 0)) throw new Error(`${where}: "runTimeoutSeconds" must be a positive number`);
+    return { model: step.model, runTimeoutSeconds: step.runTimeoutSeconds };
+  });
+}
+
+/**
+ * Fill in defaults and check modelRouting from config.json; throws if invalid
+ */
+function normalizeRouting(options = {}) {
+  const routing = { ...DEFAULT_ROUTING, ...options };
+  if (!(routing.runTimeoutSeconds > 0)) throw new Error('"runTimeoutSeconds" must be a positive number');
+  routing.models = normalizeModels(routing.models, routing.runTimeoutSeconds, '"models"');
+  if (!Array.isArray(routing.escalateRisk) || routing.escalateRisk.some(r => !RISK_LEVELS.includes(r))) {
+    throw new Error(`"escalateRisk" must be a list of ${RISK_LEVELS.join(', ')}`);
+  }
+  if (typeof routing.escalateBelowConfidence !== 'number' || routing.escalateBelowConfidence < 0 || routing.escalateBelowConfidence > 1) {
+    throw new Error('"escalateBelowConfidence" must be a number between 0 and 1');
+  }
+  if (!routing.processModels || typeof routing.processModels !== 'object') {
+    throw new Error('"processModels" must be an object');
+  }
+  routing.overrides = Object.entries(routing.processModels).map(([pattern, models]) => ({
+    pattern,
+    regexp: globToRegExp(pattern),
+    models: normalizeModels([].concat(models), routing.runTimeoutSeconds, `processModels["${pattern}"]`)
+  }));
+  return routing;
+}
+
+/**
+ * Models to ask about an alert, in order
+ */
+function modelChain(routing, alert) {
+  const names = [alert?.processName, alert?.path].filter(Boolean);
+  const override = routing.overrides.find(o => names.some(name => o.regexp.test(name)));
+  return override ? override.models : routing.models;
+}
+
+/**
+ * Why a verdict should go to the next model, or null if it is good enough
+ */
+function escalationReason(verdict, routing) {
+  if (routing.escalateRisk.includes(verdict.risk)) return `risk ${verdict.risk}`;
+  if (verdict.confidence < routing.escalateBelowConfidence) {
+    return `confidence ${verdict.confidence} < ${routing.escalateBelowConfidence}`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_ROUTING,
+  escalationReason,
+  modelChain,
+  normalizeRouting
+};
@@ -0,0 +1,262 @@
+/**
+ * Local Rules Engine
+ * Decides known alerts locally, before anything is sent to the AI.
+ *
+ * Rules file (JSON array, first match wins):
+ *   [
+ *     {
+ *       "id": "brew-github",
+ *       "action": "allow-once",
+ *       "match": {
+ *         "path": "/opt/homebrew/*",
+ *         "host": ["github.com", "*.github.com"],
+ *         "port": 443,
+ *         "protocol": "TCP"
+ *       }
+ *     }
+ *   ]
+ *
+ * Match keys (all given keys must match; array values mean "any of"):
+ *   path      - program path, '*' wildcards
+ *   process   - process name, '*' wildcards
+ *   teamId    - code-signing team identifier
+ *   bundleId  - code-signing identifier (e.g. com.apple.curl)
+ *   host      - destination hostname, '*' wildcards (see below)
+ *   cidr      - destination address range, IPv4 or IPv6 ("10.0.0.0/8")
+ *   port      - port number or range ("8000-8999")
+ *   protocol  - TCP, UDP, ICMP, ...
+ *
+ * "host" of an allow rule only matches the name LuLu reports the process
+ * asked for (requestedHost). The reverse DNS name is chosen by whoever owns
+ * the IP, so it is only trusted by block and ask rules.
+ *
+ * An "ask" rule may set "timeoutAction" (e.g. "allow-once" for known
+ * low-risk traffic) to use instead of the default when nobody answers.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { runCommand } = require('./command');
+
+const RULE_ACTIONS = ['allow', 'allow-once', 'block', 'block-once', 'ask'];
+const TIMEOUT_ACTIONS = ['allow', 'allow-once', 'block', 'block-once'];
+const MATCH_KEYS = ['path', 'process', 'teamId', 'bundleId', 'host', 'cidr', 'port', 'protocol'];
+
+const codeSignCache = new Map();
+
+/**
+ * Read code-signing identity of a binary via `codesign` (macOS only)
+ * Returns { teamId, bundleId, signed } with '' for unknown values;
+ * signed is false for unsigned and ad-hoc signed binaries
+ */
+async function getCodeSignInfo(programPath) {
+  if (codeSignCache.has(programPath)) return codeSignCache.get(programPath);
+
+  const info = { teamId: '', bundleId: '', signed: false };
+  let output = '';
+  try {
+    const result = await runCommand('codesign', ['-dv', '--verbose=2', programPath], { timeoutMs: 5000 });
+    // codesign prints its details on stderr
+    output = result.stderr + result.stdout;
+  } catch (e) {
+    // Unsigned binaries exit non-zero; not on macOS or binary not found
+    output = (e.stderr || '') + (e.stdout || '');
+  }
+
+  const team = output.match(/^TeamIdentifier=(.+)$/m);
+  const ident = output.match(/^Identifier=(.+)$/m);
+  if (team && team[1] !== 'not set') info.teamId = team[1].trim();
+  if (ident) info.bundleId = ident[1].trim();
+  info.signed = !!ident && !/^Signature=adhoc$/m.test(output);
+
+  codeSignCache.set(programPath, info);
+  return info;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function parsePortSpec(spec) {
+  if (typeof spec === 'number') return [spec, spec];
+  const m = String(spec).trim().match(/^(\d{1,5})(?:\s*-\s*(\d{1,5}))?$/);
+  if (!m) return null;
+  const from = Number(m[1]);
+  const to = m[2] ? Number(m[2]) : from;
+  return from <= to && to <= 65535 ? [from, to] : null;
+}
+
+function parseCidr(spec) {
+  const [address, bits] = String(spec).split('/');
+  const family = net.isIP(address);
+  if (!family) return null;
+  const max = family === 4 ? 32 : 128;
+  const prefix = bits === undefined ? max : Number(bits);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+  return { address, prefix, type: family === 4 ? 'ipv4' : 'ipv6' };
+}
+
+/**
+ * Validate and compile one rule; throws on invalid rules
+ */
+function compileRule(rule, index) {
+  const where = `Rule ${rule?.id || '#' + index}`;
+  if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+  if (!rule.id || typeof rule.id !== 'string') throw new Error(`${where}: "id" is required`);
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    throw new Error(`${where}: "action" must be one of ${RULE_ACTIONS.join(', ')}`);
+  }
+
+  if (rule.timeoutAction !== undefined && !TIMEOUT_ACTIONS.includes(rule.timeoutAction)) {
+    throw new Error(`${where}: "timeoutAction" must be one of ${TIMEOUT_ACTIONS.join(', ')}`);
+  }
+
+  const match = rule.match || {};
+  const unknown = Object.keys(match).filter(k => !MATCH_KEYS.includes(k));
+  if (unknown.length) throw new Error(`${where}: unknown match keys ${unknown.join(', ')}`);
+  if (!Object.keys(match).length) throw new Error(`${where}: "match" must have at least one key`);
+
+  const compiled = {
+    id: rule.id,
+    action: rule.action,
+    description: rule.description || '',
+    timeoutAction: rule.timeoutAction || null,
+    usesCodeSign: false,
+    tests: []
+  };
+
+  for (const key of ['path', 'process', 'host']) {
+    if (match[key] === undefined) continue;
+    const patterns = toList(match[key]).map(globToRegExp);
+    const field = { path: 'path', process: 'processName', host: 'host' }[key];
+    const allows = rule.action.startsWith('allow');
+    compiled.tests.push((alert) => {
+      const { host, requestedHost } = alert.endpoint || {};
+      const values = field !== 'host' ? [alert[field]] : allows ? [requestedHost] : [host, requestedHost];
+      return values.some(value => !!value && patterns.some(re => re.test(value)));
+    });
+  }
+
+  for (const key of ['teamId', 'bundleId']) {
+    if (match[key] === undefined) continue;
+    const wanted = toList(match[key]).map(String);
+    compiled.usesCodeSign = true;
+    compiled.tests.push((alert, ctx) => {
+      if (!alert.path) return false;
+      const value = ctx.codeSign[key];
+      return !!value && wanted.includes(value);
+    });
+  }
+
+  if (match.cidr !== undefined) {
+    const blockList = new net.BlockList();
+    for (const spec of toList(match.cidr)) {
+      const cidr = parseCidr(spec);
+      if (!cidr) throw new Error(`${where}: invalid cidr "${spec}"`);
+      blockList.addSubnet(cidr.address, cidr.prefix, cidr.type);
+    }
+    compiled.tests.push((alert) => {
+      const { address, family } = alert.endpoint || {};
+      return !!address && blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    });
+  }
+
+  if (match.port !== undefined) {
+    const ranges = toList(match.port).map((spec) => {
+      const range = parsePortSpec(spec);
+      if (!range) throw new Error(`${where}: invalid port "${spec}"`);
+      return range;
+    });
+    compiled.tests.push((alert) => {
+      const { port, portEnd } = alert.endpoint || {};
+      if (port === null || port === undefined) return false;
+      const last = portEnd ?? port;
+      return ranges.some(([from, to]) => port >= from && last <= to);
+    });
+  }
+
+  if (match.protocol !== undefined) {
+    const protocols = toList(match.protocol).map(p => String(p).toUpperCase());
+    compiled.tests.push((alert) => protocols.includes((alert.endpoint?.protocol || '').toUpperCase()));
+  }
+
+  return compiled;
+}
+
+/**
+ * Load and compile rules from a JSON file
+ * Returns [] if the file does not exist; throws if it is invalid
+ */
+function loadRules(rulesPath) {
+  let data;
+  try {
+    data = fs.readFileSync(rulesPath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const rules = JSON.parse(data);
+  if (!Array.isArray(rules)) throw new Error(`${rulesPath} must contain a JSON array of rules`);
+
+  const seen = new Set();
+  return rules.map((rule, i) => {
+    const compiled = compileRule(rule, i);
+    if (seen.has(compiled.id)) throw new Error(`Duplicate rule id "${compiled.id}"`);
+    seen.add(compiled.id);
+    return compiled;
+  });
+}
+
+/**
+ * Append a rule to the rules file (validated first)
+ * Throws if the rule is invalid or its id is already taken
+ */
+function addRule(rulesPath, rule) {
+  let existing = [];
+  try {
+    existing = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  if (!Array.isArray(existing)) throw new Error(`${rulesPath} must contain a JSON array of rules`);
+  if (existing.some(r => r.id === rule.id)) throw new Error(`Duplicate rule id "${rule.id}"`);
+
+  compileRule(rule, existing.length);
+  existing.push(rule);
+
+  const tmpPath = `${rulesPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(existing, null, 2) + '\n');
+  fs.renameSync(tmpPath, rulesPath);
+}
+
+/**
+ * Find the first rule matching a parsed alert
+ * `codesign` only runs if a rule matches on teamId/bundleId.
+ * @returns {Promise<{id: string, action: string, description: string, timeoutAction: string|null}|null>}
+ */
+async function matchRule(rules, alert, options = {}) {
+  const lookup = options.codeSignInfo || getCodeSignInfo;
+  const needsCodeSign = !!alert.path && rules.some(rule => rule.usesCodeSign);
+  const ctx = { codeSign: needsCodeSign ? await lookup(alert.path) : {} };
+  for (const rule of rules) {
+    if (rule.tests.every(test => test(alert, ctx))) {
+      return { id: rule.id, action: rule.action, description: rule.description, timeoutAction: rule.timeoutAction };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RULE_ACTIONS,
+  addRule,
+  getCodeSignInfo,
+  globToRegExp,
+  loadRules,
+  matchRule
+};
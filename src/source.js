@@ -0,0 +1,184 @@
+/**
+ * LuLu Alert Sources
+ * Backends that detect, extract and act on LuLu alert windows.
+ *
+ * Every source implements the same async interface:
+ *   detect()              -> true if any alert is waiting
+ *   list()                -> [{ texts, raw }] for every open alert window
+ *   act(action, target, options)
+ *                         -> true if the button was clicked on the window
+ *                            whose content matches target.raw (or the
+ *                            first window if no target is given);
+ *                            options.fallback uses the fallback UI path
+ *   isOpen(target)        -> true if the window matching target.raw is open
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runCommand } = require('./command');
+
+const WINDOW_DELIMITER = '<<<WINDOW>>>';
+
+const ACTION_SCRIPTS = {
+  'allow': 'click-allow.scpt',
+  'block': 'click-block.scpt',
+  'allow-once': 'click-allow-once.scpt',
+  'block-once': 'click-block-once.scpt'
+};
+
+/**
+ * Real LuLu via AppleScript (macOS only)
+ */
+class AppleScriptSource {
+  constructor(options = {}) {
+    this.type = 'applescript';
+    this.scriptsDir = options.scriptsDir || path.join(__dirname, '..', 'scripts');
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.debug = options.debug || (() => {});
+  }
+
+  /**
+   * Run AppleScript file, returning its trimmed output or null on error
+   */
+  async runScript(scriptName, args = []) {
+    const scriptPath = path.join(this.scriptsDir, scriptName);
+    try {
+      const { stdout } = await runCommand('osascript', [scriptPath, ...args], { timeoutMs: this.timeoutMs });
+      return stdout.trim();
+    } catch (e) {
+      this.debug(`Script ${scriptName} error:`, e.message);
+      return null;
+    }
+  }
+
+  async detect() {
+    return (await this.runScript('check-alert.scpt')) === 'true';
+  }
+
+  async list() {
+    const result = await this.runScript('list-alerts.scpt');
+    if (!result) return [];
+    return result.split(WINDOW_DELIMITER)
+      .map(raw => ({ raw, texts: raw.split('|||').filter(t => t.trim()) }))
+      .filter(w => w.texts.length);
+  }
+
+  async act(action, target, options = {}) {
+    const scriptName = ACTION_SCRIPTS[action];
+    if (!scriptName) return false;
+    // The click script only clicks the window whose text matches target.raw
+    const args = [target?.raw || ''];
+    if (options.fallback) args.push('fallback');
+    return (await this.runScript(scriptName, args)) !== null;
+  }
+
+  async isOpen(target) {
+    return (await this.list()).some(w => w.raw === target.raw);
+  }
+}
+
+/**
+ * Simulated LuLu that replays recorded alert text dumps.
+ *
+ * The fixture file is a JSON array; each entry is either an array of
+ * alert texts or an object with a `texts` array. Up to `maxWindows`
+ * alerts (default 1) are open at once, in order, and each act() "clicks"
+ * the matching one and opens the next. Clicks are kept in `this.actions`
+ * and, if `recordPath` is set, appended to that file as JSON lines.
+ * An object entry with `"ignoreClicks": true` stays open after clicks,
+ * simulating a click that LuLu ignored. `expected` is only read by the
+ * parser tests.
+ */
+class FixtureSource {
+  constructor(options = {}) {
+    if (!options.fixturePath) {
+      throw new Error('fixturePath is required for the fixture alert source');
+    }
+    this.type = 'fixture';
+    this.fixturePath = options.fixturePath;
+    this.recordPath = options.recordPath || null;
+    this.maxWindows = options.maxWindows || 1;
+    this.debug = options.debug || (() => {});
+    this.actions = [];
+    this.queue = FixtureSource.load(this.fixturePath);
+    this.debug('Loaded', this.queue.length, 'fixture alerts from', this.fixturePath);
+  }
+
+  /**
+   * Read fixture file into a list of { texts, ignoreClicks }
+   */
+  static load(fixturePath) {
+    const entries = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error(`Fixture file ${fixturePath} must contain a JSON array`);
+    }
+    return entries.map((entry, i) => {
+      const texts = Array.isArray(entry) ? entry : entry?.texts;
+      if (!Array.isArray(texts)) {
+        throw new Error(`Fixture entry ${i} in ${fixturePath} has no texts array`);
+      }
+      return { texts: texts.map(String), ignoreClicks: entry?.ignoreClicks === true };
+    });
+  }
+
+  async detect() {
+    return this.queue.length > 0;
+  }
+
+  async list() {
+    return this.queue.slice(0, this.maxWindows).map(({ texts }) => ({
+      raw: texts.join('|||'),
+      texts: texts.filter(t => t.trim())
+    }));
+  }
+
+  async act(action, target, options = {}) {
+    if (!ACTION_SCRIPTS[action]) return false;
+
+    const open = await this.list();
+    const index = target?.raw ? open.findIndex(w => w.raw === target.raw) : 0;
+    if (index === -1 || !open[index]) return false;
+
+    const { texts, ignoreClicks } = this.queue[index];
+    if (!ignoreClicks) this.queue.splice(index, 1);
+    const entry = { timestamp: new Date().toISOString(), action, texts, fallback: !!options.fallback, ignored: ignoreClicks };
+    this.actions.push(entry);
+
+    if (this.recordPath) {
+      try {
+        fs.mkdirSync(path.dirname(this.recordPath), { recursive: true });
+        fs.appendFileSync(this.recordPath, JSON.stringify(entry) + '\n');
+      } catch (e) {
+        this.debug('Failed to record fixture action:', e.message);
+      }
+    }
+    return true;
+  }
+
+  async isOpen(target) {
+    return (await this.list()).some(w => w.raw === target.raw);
+  }
+}
+
+/**
+ * Create alert source by type ('applescript' or 'fixture')
+ */
+function createAlertSource(options = {}) {
+  const type = options.type || 'applescript';
+  switch (type) {
+    case 'applescript':
+      return new AppleScriptSource(options);
+    case 'fixture':
+      return new FixtureSource(options);
+    default:
+      throw new Error(`Unknown alert source: ${type}`);
+  }
+}
+
+module.exports = {
+  ACTION_SCRIPTS,
+  WINDOW_DELIMITER,
+  AppleScriptSource,
+  FixtureSource,
+  createAlertSource
+};
@@ -0,0 +1,102 @@
+/**
+ * Telegram Bot Callbacks
+ * Long-polls the Bot API for inline button presses, so the monitor can
+ * work without OpenClaw relaying callbacks to /callback.
+ */
+
+const ALERT_CALLBACK = /^lulu:(allow|block|allow-once|block-once):([a-f0-9]+)$/;
+const RULE_CALLBACK = /^lulu:(rule-accept|rule-reject):([a-f0-9]+)$/;
+
+/**
+ * Parse button data ("lulu:<action>:<id>") into callback fields
+ * Returns { action, alertId } or { action, suggestionId }, or null
+ */
+function parseCallbackData(data) {
+  const rule = String(data || '').match(RULE_CALLBACK);
+  if (rule) return { action: rule[1], suggestionId: rule[2] };
+  const alert = String(data || '').match(ALERT_CALLBACK);
+  if (alert) return { action: alert[1], alertId: alert[2] };
+  return null;
+}
+
+/**
+ * Polls getUpdates for callback_query updates and hands each to onCallback
+ *
+ * onCallback({ action, alertId, suggestionId, userId }) must resolve to the
+ * short text shown to the user when the query is answered. templatesFor(userId)
+ * gives the user's TemplateSet for presses that never reach onCallback.
+ */
+class TelegramCallbackPoller {
+  constructor(options = {}) {
+    this.bot = options.bot;  // TelegramBotNotifier
+    this.onCallback = options.onCallback;
+    this.templatesFor = options.templatesFor;
+    this.timeoutSec = options.timeoutSec || 30;
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.log = options.log || (() => {});
+    this.debug = options.debug || (() => {});
+    this.offset = 0;
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.loop();
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  async loop() {
+    while (this.running) {
+      let updates;
+      try {
+        updates = await this.bot.getUpdates(this.offset, this.timeoutSec);
+      } catch (e) {
+        this.log('⚠️ Telegram getUpdates failed:', e.message);
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+        continue;
+      }
+      for (const update of updates || []) {
+        this.offset = Math.max(this.offset, update.update_id + 1);
+        // Not awaited: a slow click must not hold up other users' presses
+        if (update.callback_query) this.handle(update.callback_query);
+      }
+    }
+  }
+
+  /**
+   * Route one button press and answer it so the spinner stops
+   */
+  async handle(query) {
+    const userId = String(query.from?.id || '');
+    const parsed = parseCallbackData(query.data);
+    this.debug('Telegram callback from', userId + ':', query.data);
+
+    const t = this.templatesFor(userId);
+    let answer;
+    if (!parsed) {
+      answer = t.string('answer.unknown');
+    } else {
+      try {
+        answer = await this.onCallback({ ...parsed, userId });
+      } catch (e) {
+        this.log('❌ Telegram callback error:', e.message);
+        answer = t.string('answer.error', { error: e.message });
+      }
+    }
+
+    try {
+      await this.bot.answerCallbackQuery(query.id, answer);
+    } catch (e) {
+      this.debug('answerCallbackQuery failed:', e.message);
+    }
+  }
+}
+
+module.exports = {
+  TelegramCallbackPoller,
+  parseCallbackData
+};
@@ -0,0 +1,211 @@
+/**
+ * Message Templates
+ * Text for the AI prompt, the Telegram alert message, the status line
+ * and labels, one directory per locale:
+ *
+ *   templates/<locale>/prompt.txt    AI analysis prompt
+ *   templates/<locale>/message.txt   Telegram message for a verdict
+ *   templates/<locale>/fallback.txt  Telegram message when no AI verdict came
+ *   templates/<locale>/status.txt    Line added when an alert is decided
+ *   templates/<locale>/strings.json  Labels and notices: risk, advice, buttons, reminders, ...
+ *
+ * Fields are written {{name}}. A line whose fields are all empty is left
+ * out. Every template is checked at load time for fields it may not use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatEndpoint } = require('./parser');
+
+const FIELD_PATTERN = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+const ACTIONS = ['allow', 'allow-once', 'block', 'block-once'];
+
+// Fields filled from the parsed alert (see alertVariables)
+const ALERT_FIELDS = ['alertId', 'process', 'pid', 'path', 'args', 'ip', 'port', 'protocol', 'dns', 'host', 'endpoint'];
+
+// Template file -> fields it may use
+const TEMPLATE_FIELDS = {
+  prompt: [...ALERT_FIELDS, 'enrichment', 'intel', 'analysisUrl', 'analysisToken'],
+  message: [...ALERT_FIELDS, 'risk', 'advice', 'confidence', 'summary', 'reasoning', 'model'],
+  fallback: [...ALERT_FIELDS, 'reason', 'rule', 'enrichment'],
+  status: ['icon', 'result', 'actor']
+};
+
+// strings.json key -> fields it may use; every key is required
+const STRING_FIELDS = {
+  'risk.low': [],
+  'risk.medium': [],
+  'risk.high': [],
+  ...Object.fromEntries(ACTIONS.map(a => [`advice.${a}`, []])),
+  ...Object.fromEntries(ACTIONS.map(a => [`actions.${a}`, []])),
+  ...Object.fromEntries(ACTIONS.map(a => [`buttons.${a}`, []])),
+  failed: [],
+  autoExecute: [],
+  'intel.block': ['feed', 'indicator'],
+  'intel.allow': ['feed', 'indicator'],
+  'intel.notice': ['status', 'intel', 'process', 'endpoint'],
+  'intel.executed': ['result'],
+  'intel.failed': ['action', 'reason'],
+  expired: [],
+  closedInLulu: [],
+  'refused.note': ['actor', 'role', 'action'],
+  'refused.noRole': [],
+  'approval.pending': ['count', 'required', 'voters', 'minutes'],
+  'approval.rulePending': ['count', 'required', 'voters', 'minutes'],
+  'approval.expired': [],
+  'reminder.message': ['deadline', 'alert'],
+  'reminder.deadline': ['minutes', 'action'],
+  'reminder.noDeadline': [],
+  'reminder.superseded': [],
+  'timeout.executed': ['result'],
+  'timeout.failed': ['action', 'reason'],
+  'suggestion.message': ['process', 'target', 'history', 'rule', 'action'],
+  'suggestion.allowHistory': ['user', 'count'],
+  'suggestion.blockHistory': ['user', 'count'],
+  'suggestion.accept': [],
+  'suggestion.reject': [],
+  'suggestion.accepted': ['rule', 'actor'],
+  'suggestion.rejected': ['actor'],
+  'suggestion.failed': ['error'],
+  'answer.approvals': ['count', 'required'],
+  'answer.failed': ['reason'],
+  'answer.ruleAccepted': ['rule'],
+  'answer.ruleRejected': [],
+  'answer.unknown': [],
+  'answer.error': ['error']
+};
+
+/**
+ * Field names a template refers to
+ */
+function templateFields(template) {
+  return [...template.matchAll(FIELD_PATTERN)].map(m => m[1]);
+}
+
+/**
+ * Throw if a template uses an unknown or malformed field
+ */
+function checkTemplate(template, allowed, where) {
+  const unknown = templateFields(template).filter(name => !allowed.includes(name));
+  if (unknown.length) {
+    throw new Error(`${where}: unknown field(s) ${[...new Set(unknown)].map(n => `{{${n}}}`).join(', ')}` +
+      (allowed.length ? ` (known: ${allowed.join(', ')})` : ' (no fields allowed)'));
+  }
+  const malformed = template.replace(FIELD_PATTERN, '').match(/\{\{[^}]*\}?\}?/);
+  if (malformed) throw new Error(`${where}: malformed field ${malformed[0]}`);
+}
+
+/**
+ * Fill in {{fields}}; lines whose fields are all empty are dropped
+ */
+function renderTemplate(template, fields = {}) {
+  const value = name => (fields[name] === undefined || fields[name] === null ? '' : String(fields[name]));
+  return template.split('\n')
+    .filter((line) => {
+      const names = templateFields(line);
+      return !names.length || names.some(name => value(name) !== '');
+    })
+    .map(line => line.replace(FIELD_PATTERN, (_, name) => value(name)))
+    .join('\n');
+}
+
+/**
+ * Template fields for a parsed alert
+ */
+function alertVariables(alert, alertId = null) {
+  const endpoint = alert?.endpoint;
+  return {
+    alertId,
+    process: alert?.processName || alert?.path || 'unknown',
+    pid: alert?.pid || 'unknown',
+    path: alert?.path || 'unknown',
+    args: alert?.args || 'none',
+    ip: alert?.ipAddress || 'unknown',
+    port: alert?.port ? `${alert.port} (${alert.protocol})` : (alert?.protocol || 'unknown'),
+    protocol: alert?.protocol || 'unknown',
+    dns: alert?.reverseDNS || 'unknown',
+    host: endpoint?.host || endpoint?.address || 'unknown',
+    endpoint: endpoint ? formatEndpoint(endpoint) : 'unknown'
+  };
+}
+
+/**
+ * Nested strings.json -> { "risk.low": "...", ... }
+ */
+function flattenStrings(data, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenStrings(value, `${prefix}${key}.`));
+    } else {
+      flat[prefix + key] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Templates and labels of one locale
+ */
+class TemplateSet {
+  constructor(locale, templates, strings) {
+    this.locale = locale;
+    this.templates = templates;  // name -> template text
+    this.strings = strings;      // flat key -> template text
+  }
+
+  /**
+   * Load and check templates/<locale>/; throws on missing files or unknown fields
+   */
+  static load(dir, locale) {
+    const templates = {};
+    for (const [name, allowed] of Object.entries(TEMPLATE_FIELDS)) {
+      const file = path.join(dir, `${name}.txt`);
+      const text = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+      checkTemplate(text, allowed, `${locale}/${name}.txt`);
+      templates[name] = text;
+    }
+
+    const strings = flattenStrings(JSON.parse(fs.readFileSync(path.join(dir, 'strings.json'), 'utf8')));
+    for (const [key, text] of Object.entries(strings)) {
+      if (!STRING_FIELDS[key]) throw new Error(`${locale}/strings.json: unknown string "${key}"`);
+      if (typeof text !== 'string') throw new Error(`${locale}/strings.json: "${key}" must be a string`);
+      checkTemplate(text, STRING_FIELDS[key], `${locale}/strings.json "${key}"`);
+    }
+    const missing = Object.keys(STRING_FIELDS).filter(key => strings[key] === undefined);
+    if (missing.length) throw new Error(`${locale}/strings.json: missing ${missing.join(', ')}`);
+
+    return new TemplateSet(locale, templates, strings);
+  }
+
+  render(name, fields = {}) {
+    return renderTemplate(this.templates[name], fields);
+  }
+
+  string(key, fields = {}) {
+    return renderTemplate(this.strings[key], fields);
+  }
+}
+
+/**
+ * Load every locale directory under dir
+ * Returns Map locale -> TemplateSet
+ */
+function loadTemplates(dir) {
+  const locales = new Map();
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      locales.set(entry.name, TemplateSet.load(path.join(dir, entry.name), entry.name));
+    }
+  }
+  return locales;
+}
+
+module.exports = {
+  STRING_FIELDS,
+  TEMPLATE_FIELDS,
+  TemplateSet,
+  alertVariables,
+  loadTemplates,
+  renderTemplate
+};
@@ -0,0 +1,93 @@
+/**
+ * AI Verdicts
+ * Schema, validation and Telegram formatting for the structured analysis
+ * the sub-agent posts to POST /analysis/:alertId.
+ *
+ *   {
+ *     "risk": "low",                 // low | medium | high
+ *     "recommendation": "allow",     // allow | block
+ *     "duration": "once",            // once | permanent
+ *     "confidence": 0.9,             // 0..1
+ *     "summary": "curl → github.com:443, HTTPS download",
+ *     "reasoning": "Apple-signed curl fetching a GitHub release page"
+ *   }
+ */
+
+const { alertVariables } = require('./templates');
+const { verdictAction } = require('./policy');
+
+const VERDICT_SCHEMA = {
+  risk: { type: 'string', enum: ['low', 'medium', 'high'] },
+  recommendation: { type: 'string', enum: ['allow', 'block'] },
+  duration: { type: 'string', enum: ['once', 'permanent'] },
+  confidence: { type: 'number', min: 0, max: 1 },
+  summary: { type: 'string', maxLength: 500 },
+  reasoning: { type: 'string', maxLength: 2000 }
+};
+
+/**
+ * Validate a verdict object against VERDICT_SCHEMA
+ * Returns { valid, errors, verdict } with only known fields kept
+ */
+function validateVerdict(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['verdict must be a JSON object'], verdict: null };
+  }
+
+  const errors = [];
+  const verdict = {};
+  for (const [key, spec] of Object.entries(VERDICT_SCHEMA)) {
+    let value = data[key];
+    if (value === undefined || value === null || value === '') {
+      errors.push(`"${key}" is required`);
+      continue;
+    }
+    if (spec.type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`"${key}" must be a string`);
+        continue;
+      }
+      value = value.trim();
+      if (spec.enum) value = value.toLowerCase();
+      if (spec.enum && !spec.enum.includes(value)) {
+        errors.push(`"${key}" must be one of ${spec.enum.join(', ')}`);
+        continue;
+      }
+      if (spec.maxLength && value.length > spec.maxLength) {
+        errors.push(`"${key}" must be at most ${spec.maxLength} characters`);
+        continue;
+      }
+    } else if (spec.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+        errors.push(`"${key}" must be a number between ${spec.min} and ${spec.max}`);
+        continue;
+      }
+    }
+    verdict[key] = value;
+  }
+
+  return { valid: errors.length === 0, errors, verdict: errors.length ? null : verdict };
+}
+
+/**
+ * Telegram message text for a verdict (message.txt of the given TemplateSet)
+ * model: the AI model that gave the verdict, if known
+ */
+function formatVerdict(verdict, alert, templates, model = null) {
+  return templates.render('message', {
+    ...alertVariables(alert),
+    risk: templates.string(`risk.${verdict.risk}`),
+    advice: templates.string(`advice.${verdictAction(verdict)}`),
+    confidence: Math.round(verdict.confidence * 100),
+    summary: verdict.summary,
+    reasoning: verdict.reasoning,
+    model
+  });
+}
+
+module.exports = {
+  VERDICT_SCHEMA,
+  formatVerdict,
+  validateVerdict
+};
+
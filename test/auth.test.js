@@ -0,0 +1,78 @@
+/**
+ * Command server auth tests: install token, token comparison and the
+ * Host/Origin checks that keep browsers out.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkOrigin, loadOrCreateToken, requestToken, tokensMatch } = require('../src/auth');
+
+const PORT = 4441;
+const request = (headers = {}) => ({ headers: { host: `127.0.0.1:${PORT}`, ...headers } });
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'lulu-auth-'));
+}
+
+test('the token is created once with mode 0600 and then reused', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tokenPath = path.join(dir, 'nested', '.auth-token');
+
+  const first = loadOrCreateToken(tokenPath);
+  assert.equal(first.created, true);
+  assert.match(first.token, /^[a-f0-9]{64}$/);
+  assert.equal(fs.statSync(tokenPath).mode & 0o777, 0o600);
+
+  const second = loadOrCreateToken(tokenPath);
+  assert.deepEqual(second, { token: first.token, created: false });
+});
+
+test('a readable token file is tightened to 0600', (t) => {
+  const dir = tempDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const tokenPath = path.join(dir, '.auth-token');
+  fs.writeFileSync(tokenPath, 'abc123\n');
+  fs.chmodSync(tokenPath, 0o644);
+
+  assert.deepEqual(loadOrCreateToken(tokenPath), { token: 'abc123', created: false });
+  assert.equal(fs.statSync(tokenPath).mode & 0o777, 0o600);
+});
+
+test('tokensMatch needs both tokens and an exact match', () => {
+  assert.equal(tokensMatch('secret', 'secret'), true);
+  assert.equal(tokensMatch('secret', 'secreT'), false);
+  assert.equal(tokensMatch('secret', 'secret2'), false);
+  assert.equal(tokensMatch('', 'secret'), false);
+  assert.equal(tokensMatch('secret', null), false);
+  assert.equal(tokensMatch(null, null), false);
+});
+
+test('requestToken reads a Bearer header or X-LuLu-Token', () => {
+  assert.equal(requestToken(request({ authorization: 'Bearer abc' })), 'abc');
+  assert.equal(requestToken(request({ authorization: 'bearer abc' })), 'abc');
+  assert.equal(requestToken(request({ 'x-lulu-token': 'xyz' })), 'xyz');
+  assert.equal(requestToken(request({ authorization: 'Basic abc' })), null);
+  assert.equal(requestToken(request()), null);
+});
+
+test('checkOrigin accepts local CLI requests', () => {
+  assert.equal(checkOrigin(request(), PORT), null);
+  assert.equal(checkOrigin(request({ host: `localhost:${PORT}` }), PORT), null);
+  assert.equal(checkOrigin(request({ host: `LOCALHOST:${PORT}` }), PORT), null);
+});
+
+test('checkOrigin rejects other Host headers (DNS rebinding)', () => {
+  for (const host of ['evil.example', `evil.example:${PORT}`, '127.0.0.1', `127.0.0.1:${PORT + 1}`, undefined]) {
+    assert.deepEqual(checkOrigin({ headers: { host } }, PORT), { status: 421, error: 'Invalid Host header' }, String(host));
+  }
+});
+
+test('checkOrigin rejects browser requests', () => {
+  for (const headers of [{ origin: 'http://evil.example' }, { 'sec-fetch-site': 'cross-site' }, { 'sec-fetch-mode': 'no-cors' }]) {
+    assert.deepEqual(checkOrigin(request(headers), PORT), { status: 403, error: 'Browser requests are not allowed' });
+  }
+});
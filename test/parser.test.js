@@ -0,0 +1,32 @@
+/**
+ * Parser tests against the recorded alert dumps in fixtures/alerts.json.
+ * Each fixture entry lists the fields the parser should return under `expected`.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseAlertTexts } = require('../src/parser');
+
+const fixtures = require(path.join(__dirname, '..', 'fixtures', 'alerts.json'));
+
+for (const fixture of fixtures) {
+  test(`parses ${fixture.name}`, () => {
+    const { endpoint, confidence, ...fields } = fixture.expected;
+    const alert = parseAlertTexts(fixture.texts);
+
+    for (const [name, value] of Object.entries(fields)) {
+      assert.equal(alert[name], value, `${name}`);
+    }
+    for (const [name, value] of Object.entries(endpoint)) {
+      assert.equal(alert.endpoint[name], value, `endpoint.${name}`);
+    }
+    assert.deepEqual(alert.confidence, confidence);
+  });
+}
+
+test('every fixture states expected values', () => {
+  for (const fixture of fixtures) {
+    assert.ok(fixture.expected?.endpoint && fixture.expected?.confidence, fixture.name);
+  }
+});
@@ -0,0 +1,89 @@
+/**
+ * Auto-execute policy tests: the checks that decide when the monitor
+ * clicks LuLu by itself.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_POLICY, evaluatePolicy, normalizePolicy, verdictAction } = require('../src/policy');
+
+const verdict = (fields = {}) => ({
+  risk: 'low',
+  recommendation: 'allow',
+  duration: 'once',
+  confidence: 0.95,
+  summary: 'curl → github.com:443',
+  reasoning: 'Apple-signed curl fetching a release page',
+  ...fields
+});
+
+test('a confident low-risk allow of a signed binary is executed', () => {
+  const decision = evaluatePolicy(verdict(), normalizePolicy(), { signed: true });
+  assert.deepEqual(decision, { execute: true, action: 'allow-once', recommended: 'allow-once', reasons: [] });
+});
+
+test('every failing check lands in reasons', () => {
+  const policy = normalizePolicy({ minConfidence: 0.9, maxRisk: 'low', actions: ['block-once'] });
+  const decision = evaluatePolicy(verdict({ risk: 'high', confidence: 0.5 }), policy, {
+    signed: false,
+    intel: { list: 'block', feed: 'bad', indicator: 'github.com' },
+    askRule: { id: 'lan-ask' }
+  });
+  assert.equal(decision.execute, false);
+  assert.deepEqual(decision.reasons, [
+    'allow-once is not in actions',
+    'confidence 0.5 < 0.9',
+    'risk high > low',
+    'binary is not signed',
+    'threat intel block list bad matched',
+    'ask rule lan-ask matched'
+  ]);
+});
+
+test('a permanent verdict is downgraded to once when only once is allowed', () => {
+  const decision = evaluatePolicy(verdict({ duration: 'permanent' }), normalizePolicy(), { signed: true });
+  assert.equal(decision.execute, true);
+  assert.equal(decision.recommended, 'allow');
+  assert.equal(decision.action, 'allow-once');
+});
+
+test('a permanent verdict stays permanent when it is allowed', () => {
+  const policy = normalizePolicy({ actions: ['allow-once', 'allow'] });
+  const decision = evaluatePolicy(verdict({ duration: 'permanent' }), policy, { signed: true });
+  assert.equal(decision.action, 'allow');
+});
+
+test('an action with no once variant allowed is refused', () => {
+  const decision = evaluatePolicy(verdict({ recommendation: 'block' }), normalizePolicy(), { signed: true });
+  assert.equal(decision.execute, false);
+  assert.deepEqual(decision.reasons, ['block-once is not in actions']);
+});
+
+test('unsigned or unknown signatures are refused unless requireSigned is off', () => {
+  assert.deepEqual(evaluatePolicy(verdict(), normalizePolicy(), { signed: false }).reasons, ['binary is not signed']);
+  assert.deepEqual(evaluatePolicy(verdict(), normalizePolicy(), { signed: null }).reasons, ['binary signature unknown']);
+  assert.deepEqual(evaluatePolicy(verdict(), normalizePolicy(), {}).reasons, ['binary signature unknown']);
+  assert.equal(evaluatePolicy(verdict(), normalizePolicy({ requireSigned: false }), {}).execute, true);
+});
+
+test('risk is only capped for allow verdicts', () => {
+  const policy = normalizePolicy({ actions: ['block-once'] });
+  assert.equal(evaluatePolicy(verdict({ recommendation: 'block', risk: 'high' }), policy, { signed: true }).execute, true);
+});
+
+test('an allow list hit does not stop auto-execute', () => {
+  const intel = { list: 'allow', feed: 'good', indicator: 'github.com' };
+  assert.equal(evaluatePolicy(verdict(), normalizePolicy(), { signed: true, intel }).execute, true);
+});
+
+test('normalizePolicy fills defaults and rejects bad values', () => {
+  assert.deepEqual(normalizePolicy(), DEFAULT_POLICY);
+  assert.throws(() => normalizePolicy({ minConfidence: 2 }), /minConfidence/);
+  assert.throws(() => normalizePolicy({ maxRisk: 'none' }), /maxRisk/);
+  assert.throws(() => normalizePolicy({ actions: ['allow-forever'] }), /actions/);
+});
+
+test('verdictAction maps duration to the LuLu action', () => {
+  assert.equal(verdictAction(verdict()), 'allow-once');
+  assert.equal(verdictAction(verdict({ recommendation: 'block', duration: 'permanent' })), 'block');
+});
@@ -0,0 +1,30 @@
+/**
+ * Alert registry tests: alert IDs and the ID check used by the command server routes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertRegistry } = require('../src/registry');
+
+test('alert IDs are short hex derived from the fingerprint', () => {
+  const id = AlertRegistry.alertId('curl|/usr/bin/curl|github.com|443|TCP');
+  assert.match(id, /^[a-f0-9]{10}$/);
+  assert.equal(AlertRegistry.alertId('curl|/usr/bin/curl|github.com|443|TCP'), id);
+  assert.ok(AlertRegistry.isAlertId(id));
+});
+
+test('POST /analysis/:id rejects malformed IDs without decoding them', () => {
+  const url = '/analysis/%E0%A4%A';
+  assert.throws(() => decodeURIComponent(url), URIError);
+  assert.equal(AlertRegistry.isAlertId(url.slice('/analysis/'.length)), false);
+  for (const bad of ['', 'ABC', '../x', '12 34', '842cb23ac4?x=1', null]) {
+    assert.equal(AlertRegistry.isAlertId(bad), false, String(bad));
+  }
+});
+
+test('GET /alerts/:id rejects malformed IDs without decoding them', () => {
+  const url = '/alerts/%ZZ';
+  assert.throws(() => decodeURIComponent(url), URIError);
+  assert.equal(AlertRegistry.isAlertId(url.slice('/alerts/'.length)), false);
+  assert.equal(AlertRegistry.isAlertId('842cb23ac4'), true);
+});
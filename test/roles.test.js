@@ -0,0 +1,54 @@
+/**
+ * Telegram role tests: who may press which button.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize } = require('../src/roles');
+
+const config = {
+  telegramIds: ['100', '200', 300],
+  telegramRoles: { 100: 'admin', 200: 'operator', 400: 'viewer' },
+  defaultRole: 'admin'
+};
+
+const PERMANENT = ['allow', 'block', 'rule-accept', 'rule-reject'];
+const ONCE = ['allow-once', 'block-once'];
+
+test('admins may do everything', () => {
+  for (const action of [...PERMANENT, ...ONCE]) {
+    assert.deepEqual(authorize('100', action, config), { allowed: true, role: 'admin', reason: null }, action);
+  }
+});
+
+test('operators may only allow or block once', () => {
+  for (const action of ONCE) assert.equal(authorize('200', action, config).allowed, true, action);
+  for (const action of PERMANENT) {
+    assert.deepEqual(authorize('200', action, config), { allowed: false, role: 'operator', reason: `role operator may not ${action}` });
+  }
+});
+
+test('viewers may not press anything', () => {
+  for (const action of [...PERMANENT, ...ONCE]) {
+    assert.deepEqual(authorize('400', action, config), { allowed: false, role: 'viewer', reason: `role viewer may not ${action}` });
+  }
+});
+
+test('unknown or missing users are refused', () => {
+  for (const userId of ['999', '', null, undefined]) {
+    assert.deepEqual(authorize(userId, 'allow-once', config), { allowed: false, role: null, reason: 'not an authorized user' }, String(userId));
+  }
+});
+
+test('configured users without a role get defaultRole', () => {
+  assert.equal(authorize(300, 'allow', config).role, 'admin');
+  assert.equal(authorize('300', 'allow', config).allowed, true);
+  const operators = { ...config, defaultRole: 'operator' };
+  assert.deepEqual(authorize('300', 'allow', operators), { allowed: false, role: 'operator', reason: 'role operator may not allow' });
+  assert.equal(authorize('300', 'block-once', operators).allowed, true);
+});
+
+test('an unknown role allows nothing', () => {
+  const odd = { ...config, telegramRoles: { 100: 'superuser' } };
+  assert.equal(authorize('100', 'allow-once', odd).allowed, false);
+});
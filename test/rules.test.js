@@ -0,0 +1,166 @@
+/**
+ * Local rules engine tests: match keys, rule order and rule validation.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { globToRegExp, loadRules, matchRule } = require('../src/rules');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lulu-rules-'));
+let fileCount = 0;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Write rules to a temporary rules file and load them
+ */
+function rulesFrom(rules) {
+  const file = path.join(dir, `rules-${++fileCount}.json`);
+  fs.writeFileSync(file, JSON.stringify(rules));
+  return loadRules(file);
+}
+
+function rule(id, action, match, extra = {}) {
+  return { id, action, match, ...extra };
+}
+
+function alertFor(endpoint = {}, extra = {}) {
+  return {
+    processName: 'curl',
+    path: '/usr/bin/curl',
+    endpoint: {
+      address: '140.82.112.3', family: 4, host: '', requestedHost: '',
+      port: 443, portEnd: null, protocol: 'TCP', ...endpoint
+    },
+    ...extra
+  };
+}
+
+const match = (rules, alert) => matchRule(rules, alert, { codeSignInfo: async () => ({}) });
+const matchedId = async (rules, alert) => (await match(rules, alert))?.id || null;
+
+test('a missing rules file means no rules', () => {
+  assert.deepEqual(loadRules(path.join(dir, 'missing.json')), []);
+});
+
+test('globs match the whole value, case-insensitively', () => {
+  const re = globToRegExp('/opt/homebrew/*');
+  assert.ok(re.test('/opt/homebrew/bin/git'));
+  assert.ok(re.test('/OPT/Homebrew/bin/git'));
+  assert.equal(re.test('/tmp/opt/homebrew/bin/git'), false);
+  assert.ok(globToRegExp('a.b').test('a.b'));
+  assert.equal(globToRegExp('a.b').test('axb'), false);
+});
+
+test('path and process globs', async () => {
+  const rules = rulesFrom([
+    rule('brew', 'allow-once', { path: ['/opt/homebrew/*', '/usr/local/Cellar/*'] }),
+    rule('curl', 'block', { process: 'cur*' })
+  ]);
+  assert.equal(await matchedId(rules, alertFor({}, { path: '/opt/homebrew/bin/wget' })), 'brew');
+  assert.equal(await matchedId(rules, alertFor()), 'curl');
+  assert.equal(await matchedId(rules, alertFor({}, { processName: 'wget', path: '/usr/bin/wget' })), null);
+});
+
+test('allow rules match only the requested host, not reverse DNS', async () => {
+  const rules = rulesFrom([rule('github', 'allow', { host: ['github.com', '*.github.com'] })]);
+  assert.equal(await matchedId(rules, alertFor({ requestedHost: 'api.github.com' })), 'github');
+  // The PTR name is set by whoever owns the IP
+  assert.equal(await matchedId(rules, alertFor({ host: 'cdn.github.com' })), null);
+  assert.equal(await matchedId(rules, alertFor({ host: 'cdn.github.com', requestedHost: 'evil.example' })), null);
+
+  const once = rulesFrom([rule('github-once', 'allow-once', { host: '*.github.com' })]);
+  assert.equal(await matchedId(once, alertFor({ host: 'cdn.github.com' })), null);
+});
+
+test('block and ask rules also match reverse DNS', async () => {
+  const rules = rulesFrom([
+    rule('telemetry', 'block', { host: '*.telemetry.example.com' }),
+    rule('ads', 'ask', { host: 'ads.example.com' })
+  ]);
+  assert.equal(await matchedId(rules, alertFor({ host: 'eu.telemetry.example.com' })), 'telemetry');
+  assert.equal(await matchedId(rules, alertFor({ requestedHost: 'us.telemetry.example.com' })), 'telemetry');
+  assert.equal(await matchedId(rules, alertFor({ host: 'ads.example.com' })), 'ads');
+});
+
+test('IPv4 and IPv6 CIDR ranges', async () => {
+  const rules = rulesFrom([
+    rule('lan', 'ask', { cidr: ['10.0.0.0/8', '192.168.1.0/24', 'fe80::/10'] }),
+    rule('one', 'block', { cidr: '2001:db8::1' })
+  ]);
+  assert.equal(await matchedId(rules, alertFor({ address: '10.1.2.3' })), 'lan');
+  assert.equal(await matchedId(rules, alertFor({ address: '192.168.1.254' })), 'lan');
+  assert.equal(await matchedId(rules, alertFor({ address: '192.168.2.1' })), null);
+  assert.equal(await matchedId(rules, alertFor({ address: 'fe80::1', family: 6 })), 'lan');
+  assert.equal(await matchedId(rules, alertFor({ address: '2001:db8::1', family: 6 })), 'one');
+  assert.equal(await matchedId(rules, alertFor({ address: '2001:db8::2', family: 6 })), null);
+  assert.equal(await matchedId(rules, alertFor({ address: null, family: null, requestedHost: 'example.com' })), null);
+});
+
+test('ports and port ranges', async () => {
+  const rules = rulesFrom([
+    rule('dev', 'allow-once', { port: ['8000-8999', 3000] }),
+    rule('dns', 'allow', { port: 53, protocol: 'udp' })
+  ]);
+  assert.equal(await matchedId(rules, alertFor({ port: 8080 })), 'dev');
+  assert.equal(await matchedId(rules, alertFor({ port: 3000 })), 'dev');
+  assert.equal(await matchedId(rules, alertFor({ port: 8000, portEnd: 8999 })), 'dev');
+  // A port range in the alert must lie entirely inside the rule's range
+  assert.equal(await matchedId(rules, alertFor({ port: 8900, portEnd: 9100 })), null);
+  assert.equal(await matchedId(rules, alertFor({ port: 9000 })), null);
+  assert.equal(await matchedId(rules, alertFor({ port: null })), null);
+  assert.equal(await matchedId(rules, alertFor({ port: 53, protocol: 'UDP' })), 'dns');
+  assert.equal(await matchedId(rules, alertFor({ port: 53, protocol: 'TCP' })), null);
+});
+
+test('every match key must match and the first matching rule wins', async () => {
+  const rules = rulesFrom([
+    rule('curl-github', 'block-once', { process: 'curl', host: 'github.com', port: 22 }),
+    rule('any-github', 'allow-once', { host: 'github.com' }),
+    rule('curl-anything', 'block', { process: 'curl' })
+  ]);
+  assert.equal(await matchedId(rules, alertFor({ requestedHost: 'github.com', port: 22 })), 'curl-github');
+  assert.equal(await matchedId(rules, alertFor({ requestedHost: 'github.com' })), 'any-github');
+  assert.equal(await matchedId(rules, alertFor({ requestedHost: 'gitlab.com' })), 'curl-anything');
+});
+
+test('matched rules report their timeoutAction', async () => {
+  const rules = rulesFrom([rule('updates', 'ask', { port: 443 }, { description: 'Updates', timeoutAction: 'allow-once' })]);
+  assert.deepEqual(await match(rules, alertFor()), {
+    id: 'updates', action: 'ask', description: 'Updates', timeoutAction: 'allow-once'
+  });
+});
+
+test('team and bundle IDs come from the code signature', async () => {
+  const rules = rulesFrom([rule('apple', 'allow', { teamId: 'APPLE', bundleId: 'com.apple.curl' })]);
+  const signedBy = info => ({ codeSignInfo: async () => info });
+  assert.equal((await matchRule(rules, alertFor(), signedBy({ teamId: 'APPLE', bundleId: 'com.apple.curl' })))?.id, 'apple');
+  assert.equal(await matchRule(rules, alertFor(), signedBy({ teamId: 'OTHER', bundleId: 'com.apple.curl' })), null);
+  assert.equal(await matchRule(rules, alertFor(), signedBy({})), null);
+});
+
+test('invalid rules are rejected when loading', () => {
+  const invalid = [
+    [[rule('x', 'maybe', { port: 1 })], /Rule x: "action" must be one of/],
+    [[rule('x', 'ask', { port: 1 }, { timeoutAction: 'ask' })], /Rule x: "timeoutAction" must be one of/],
+    [[rule('x', 'ask', { port: 1 }, { timeoutAction: 'later' })], /Rule x: "timeoutAction" must be one of/],
+    [[rule('x', 'block', { port: '90000' })], /Rule x: invalid port "90000"/],
+    [[rule('x', 'block', { port: '200-100' })], /Rule x: invalid port "200-100"/],
+    [[rule('x', 'block', { cidr: '10.0.0.0/33' })], /Rule x: invalid cidr "10.0.0.0\/33"/],
+    [[rule('x', 'block', { cidr: 'example.com' })], /Rule x: invalid cidr "example.com"/],
+    [[rule('x', 'block', { hostname: 'a' })], /Rule x: unknown match keys hostname/],
+    [[rule('x', 'block', {})], /Rule x: "match" must have at least one key/],
+    [[{ action: 'block', match: { port: 1 } }], /Rule #0: "id" is required/],
+    [[rule('x', 'block', { port: 1 }), rule('x', 'allow', { port: 2 })], /Duplicate rule id "x"/]
+  ];
+  for (const [rules, error] of invalid) {
+    assert.throws(() => rulesFrom(rules), error);
+  }
+
+  const file = path.join(dir, 'object.json');
+  fs.writeFileSync(file, '{}');
+  assert.throws(() => loadRules(file), /must contain a JSON array of rules/);
+});
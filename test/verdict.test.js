@@ -0,0 +1,64 @@
+/**
+ * AI verdict schema tests: what POST /analysis/:alertId accepts.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateVerdict } = require('../src/verdict');
+
+const data = (fields = {}) => ({
+  risk: 'low',
+  recommendation: 'allow',
+  duration: 'once',
+  confidence: 0.9,
+  summary: 'curl → github.com:443, HTTPS download',
+  reasoning: 'Apple-signed curl fetching a GitHub release page',
+  ...fields
+});
+
+test('a complete verdict is accepted as is', () => {
+  const { valid, errors, verdict } = validateVerdict(data());
+  assert.equal(valid, true);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(verdict, data());
+});
+
+test('unknown fields are dropped', () => {
+  const { valid, verdict } = validateVerdict(data({ action: 'allow', execute: true }));
+  assert.equal(valid, true);
+  assert.equal('action' in verdict, false);
+  assert.equal('execute' in verdict, false);
+});
+
+test('enum values are trimmed and lowercased', () => {
+  const { verdict } = validateVerdict(data({ risk: ' LOW ', recommendation: 'Block' }));
+  assert.equal(verdict.risk, 'low');
+  assert.equal(verdict.recommendation, 'block');
+});
+
+test('values outside an enum are rejected', () => {
+  const { valid, errors, verdict } = validateVerdict(data({ risk: 'none', duration: 'forever' }));
+  assert.equal(valid, false);
+  assert.equal(verdict, null);
+  assert.deepEqual(errors, ['"risk" must be one of low, medium, high', '"duration" must be one of once, permanent']);
+});
+
+test('confidence must be a number from 0 to 1', () => {
+  for (const confidence of [-0.1, 1.5, '0.9', NaN, Infinity]) {
+    assert.deepEqual(validateVerdict(data({ confidence })).errors, ['"confidence" must be a number between 0 and 1'], String(confidence));
+  }
+  assert.equal(validateVerdict(data({ confidence: 0 })).valid, true);
+  assert.equal(validateVerdict(data({ confidence: 1 })).valid, true);
+});
+
+test('missing fields and overlong text are reported', () => {
+  const { summary, ...rest } = data();
+  assert.deepEqual(validateVerdict(rest).errors, ['"summary" is required']);
+  assert.deepEqual(validateVerdict(data({ reasoning: 'x'.repeat(2001) })).errors, ['"reasoning" must be at most 2000 characters']);
+});
+
+test('anything but an object is rejected', () => {
+  for (const value of [null, [], 'allow', 42]) {
+    assert.deepEqual(validateVerdict(value).errors, ['verdict must be a JSON object']);
+  }
+});